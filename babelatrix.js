@@ -20,6 +20,8 @@ let bindingProps = {
   ),
 };
 
+let isJsx = x => t.isJSXElement(x) || t.isJSXFragment(x);
+
 module.exports = declare((api, options) => {
   api.assertVersion(7);
 
@@ -40,6 +42,7 @@ module.exports = declare((api, options) => {
         switch (node.callee.property.name) {
           case 'if':
           case 'map':
+          case 'switch':
           case 'text':
             if (
               !t.isArrowFunctionExpression(node.arguments[0]) &&
@@ -49,16 +52,79 @@ module.exports = declare((api, options) => {
                 t.arrowFunctionExpression([], node.arguments[0]);
             }
 
+            // JSX branches are only created when shown.
+            if (node.callee.property.name === 'if') {
+              node.arguments = node.arguments.map((x, i) => (
+                i > 0 && isJsx(x) ? t.arrowFunctionExpression([], x) : x
+              ));
+            }
+
+            if (
+              node.callee.property.name === 'switch' &&
+              t.isObjectExpression(node.arguments[1])
+            ) {
+              for (let x of node.arguments[1].properties) {
+                if (t.isObjectProperty(x) && isJsx(x.value)) {
+                  x.value = t.arrowFunctionExpression([], x.value);
+                }
+              }
+            }
+
             break;
 
-          case 'ref':
+          case 'ref': {
+            let [expr] = node.arguments;
+
+            // d.ref(obj, 'path.to.key') is handled at runtime.
+            if (
+              node.arguments.length !== 1 ||
+              (!t.isIdentifier(expr) && !t.isMemberExpression(expr))
+            ) {
+              break;
+            }
+
             path.replaceWith(dCall('binding', t.objectExpression([
-              bindingProps.get(node),
-              bindingProps.set(t.cloneNode(node)),
+              bindingProps.get(expr),
+              bindingProps.set(t.cloneNode(expr)),
             ])));
 
             break;
+          }
+        }
+      },
+
+      JSXElement(path) {
+        let { node } = path;
+        let name = node.openingElement.name;
+
+        if (
+          !t.isJSXMemberExpression(name) ||
+          !t.isJSXIdentifier(name.object, { name: 'd' }) ||
+          !t.isJSXIdentifier(name.property, { name: 'ErrorBoundary' }) ||
+          !node.children.length
+        ) {
+          return;
         }
+
+        // <d.ErrorBoundary> children are moved into a render function prop, so
+        // errors thrown while creating them can be caught.
+        let children = node.children.map(x => (
+          t.isJSXExpressionContainer(x) && !t.isJSXEmptyExpression(x.expression)
+            ? t.jsxExpressionContainer(
+              dCall('child', t.arrowFunctionExpression([], x.expression)))
+            : x
+        ));
+
+        node.openingElement.attributes.push(t.jsxAttribute(
+          t.jsxIdentifier('render'),
+          t.jsxExpressionContainer(t.arrowFunctionExpression([], t.jsxFragment(
+            t.jsxOpeningFragment(), t.jsxClosingFragment(), children,
+          ))),
+        ));
+
+        node.children = [];
+        node.openingElement.selfClosing = true;
+        node.closingElement = null;
       },
 
       JSXExpressionContainer(path) {
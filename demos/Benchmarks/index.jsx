@@ -0,0 +1,85 @@
+import d from '../../index.js';
+
+// Measures how long it takes to attach, update, reorder and detach large
+// numbers of bound nodes (i.e. how fast processMutations and updateSync keep
+// up with boundNodes changes).
+
+class Benchmarks {
+  rows = [];
+  results = [];
+  running = false;
+
+  makeRows(count) {
+    let rows = [];
+
+    for (let i = 0; i < count; i++) {
+      rows.push({ id: i, label: `Row ${i}` });
+    }
+
+    return rows;
+  }
+
+  async measure(name, fn) {
+    let start = performance.now();
+
+    fn();
+
+    // Waits for the mutation observer and the following update to finish.
+    await d.update();
+
+    this.results.push({ name, ms: performance.now() - start });
+  }
+
+  run = async () => {
+    this.running = true;
+    this.results = [];
+    await d.update();
+
+    for (let count of [1000, 10000]) {
+      await this.measure(`Create ${count} rows`, () => {
+        this.rows = this.makeRows(count);
+      });
+
+      await this.measure(`Update ${count} rows`, () => {
+        for (let x of this.rows) { x.label += '!' }
+      });
+
+      await this.measure(`Reverse ${count} rows`, () => {
+        this.rows = [...this.rows].reverse();
+      });
+
+      await this.measure(`Remove every other row (${count} rows)`, () => {
+        this.rows = this.rows.filter((x, i) => i % 2);
+      });
+
+      await this.measure(`Clear ${count} rows`, () => { this.rows = [] });
+    }
+
+    this.running = false;
+  };
+
+  render = () => (
+    <div>
+      <button disabled={() => this.running} onClick={this.run}>Run</button>
+
+      <ul>
+        {d.map(() => this.results, x => (
+          <li>{x.name}: {x.ms.toFixed(1)}ms</li>
+        ))}
+      </ul>
+
+      <table>
+        <tbody>
+          {d.map(() => this.rows, x => (
+            <tr>
+              <td>{x.id}</td>
+              <td>{d.text(() => x.label)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+document.querySelector('#main').append(<Benchmarks />);
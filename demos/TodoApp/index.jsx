@@ -136,14 +136,13 @@ class App {
                     />
                   </div>
 
-                  {x.editInputEl = (
-                    <input
-                      class="edit"
-                      value={x.text}
-                      onKeyUp={ev => this.onEditKeyUp(ev, x)}
-                      onBlur={() => x.editing = false}
-                    />
-                  )}
+                  <input
+                    class="edit"
+                    ref={x.editInputEl}
+                    value={x.text}
+                    onKeyUp={ev => this.onEditKeyUp(ev, x)}
+                    onBlur={() => x.editing = false}
+                  />
                 </li>
               ))}
             </ul>
@@ -1,10 +1,12 @@
 'use strict';
 
-var boundNodes = [];
-var ieNodes = navigator.userAgent.indexOf('Trident') ? [] : null;
+var boundNodes = new BoundNodeRegistry();
+var ieNodes = typeof navigator !== 'undefined' &&
+  navigator.userAgent.indexOf('Trident') !== -1 ? [] : null;
 
 var classTypeRegExp = /^class\s/;
 var ariaRegExp = /^aria-/;
+var svgNs = 'http://www.w3.org/2000/svg';
 var svgNsRegExp = /\/svg$/;
 var wsRegExp = / |\r|\n/;
 var onAttachRegExp = /^on:?attach$/i
@@ -12,6 +14,22 @@ var onDetachRegExp = /^on:?detach$/i
 
 function nullish(x) { return x === undefined || x === null }
 
+function isPrimitive(x) {
+  return typeof x === 'string' || typeof x === 'number' || typeof x === 'boolean';
+}
+
+// Nodes are created through this function's return value instead of the global
+// document so that trees can be built and rendered to strings in environments
+// without one (see serverDocument and renderToString below).
+function getDocument() {
+  return typeof document !== 'undefined' ? document : serverDocument;
+}
+
+function isNode(x) {
+  return (typeof Node !== 'undefined' && x instanceof Node) ||
+    x instanceof ServerNode;
+}
+
 // Possible class values:
 // nullish,
 // single-class strings (e.g. 'foo');
@@ -32,10 +50,10 @@ function normalizeClasses(x) {
 // strings and numbers to text nodes. Booleans are converted to null (for
 // basically the same reason as described above in normalizeClasses).
 function appendableNode(x) {
-  if (x instanceof Node) { return x }
+  if (isNode(x)) { return x }
   if (typeof x === 'boolean' || (!x && typeof x !== 'number')) { return null }
 
-  return document.createTextNode(x);
+  return getDocument().createTextNode(x);
 }
 
 // Some nodes have n.anchoredNodes. When removing n, it's important to also
@@ -148,67 +166,173 @@ Binding.specialUpdateFnsByKey = {
   },
 
   checked: function checkedBindingUpdate() {
-    var self = this, newValue;
-
-    // On first update, lazily creates event handlers for tracking input value
-    // changes.
-    if (!self.setHandler) {
-      self.target.addEventListener('change', self.setHandler = function(ev) {
-        var x = ev.target.checked;
-        self.lastValue = self.set ? self.set(x) : x;
-
-        // Calling self.set inherently changes application state, so we may
-        // need to update other bindings elsewhere that depend on it.
-        self.set && updateSync();
-      });
-    }
+    formBindingUpdate(this, 'change', function(self, el) {
+      return parseFormValue(self, el.checked);
+    }, function(self, el, x) {
+      el.checked = Boolean(formatFormValue(self, x));
+    });
+  },
 
-    if (self.get) {
-      newValue = Boolean(self.get());
+  value: function valueBindingUpdate() {
+    formBindingUpdate(this, 'input', function(self, el) {
+      return parseFormValue(self, el.value);
+    }, function(self, el, x) {
+      x = formatFormValue(self, x);
 
-      // If the value hasn't changed, do nothing.
-      if (newValue === self.lastValue) { return }
+      // Convert nullish and boolean values to empty strings. Cast everything
+      // else to string.
+      x = nullish(x) || typeof x === 'boolean' ? '' : String(x);
+      if (el.value !== x) { el.value = x }
+    });
+  },
 
-      // Update element and remember updated value.
-      self.lastValue = self.target.checked = newValue;
-    }
+  // Numbers for number (or range) inputs. Empty or invalid inputs are null.
+  valueAsNumber: function valueAsNumberBindingUpdate() {
+    formBindingUpdate(this, 'input', function(self, el) {
+      var x = el.value.trim() !== '' ? Number(el.value) : NaN;
+      return parseFormValue(self, !isNaN(x) ? x : null);
+    }, function(self, el, x) {
+      x = formatFormValue(self, x);
+      x = nullish(x) || isNaN(x) ? '' : String(x);
+      if (el.value !== x) { el.value = x }
+    });
   },
 
-  value: function valueBindingUpdate() {
-    var self = this, newValue;
-
-    // On first update, lazily creates event handlers for tracking input value
-    // changes.
-    if (!self.setHandler) {
-      self.target.addEventListener('input', self.setHandler = function(ev) {
-        var x = ev.target.value;
-        self.lastValue = self.set ? self.set(x) : x;
-
-        // Calling self.set inherently changes application state, so we may
-        // need to update other bindings elsewhere that depend on it.
-        self.set && updateSync();
+  // Arrays of selected option values for <select multiple> elements.
+  selectedValues: function selectedValuesBindingUpdate() {
+    formBindingUpdate(this, 'change', function(self, el) {
+      return [].filter.call(el.options || [], function(option) {
+        return option.selected;
+      }).map(function(option) { return parseFormValue(self, option.value) });
+    }, function(self, el, xs) {
+      xs = (xs || []).map(function(x) { return String(formatFormValue(self, x)) });
+
+      [].forEach.call(el.options || [], function(option) {
+        option.selected = xs.indexOf(option.value) !== -1;
       });
-    }
+    });
+  },
 
-    if (self.get) {
-      newValue = self.get();
+  // Radio groups bound to the checked radio's value, or checkbox groups bound
+  // to an array of the checked checkboxes' values. Each radio/checkbox in the
+  // group gets its own group binding (to the same value).
+  group: function groupBindingUpdate() {
+    formBindingUpdate(this, 'change', function(self, el) {
+      var x = parseFormValue(self, el.value), xs;
 
-      // Convert nullish and boolean values to empty strings. Cast everything
-      // else to string.
-      if (nullish(newValue) || typeof newValue === 'boolean') { newValue = '' }
-      else { newValue = String(newValue) }
+      if (el.type !== 'checkbox') { return el.checked ? x : skipFormValue }
+
+      xs = (self.get ? self.get() || [] : []).filter(function(y) {
+        return !sameValue(y, x);
+      });
 
-      // If the value hasn't changed, do nothing.
-      if (newValue === self.lastValue) { return }
+      return el.checked ? xs.concat([x]) : xs;
+    }, function(self, el, x) {
+      var xs = el.type === 'checkbox' ? x || [] : [x];
 
-      // Update element and remember updated value.
-      self.lastValue = self.target.value = newValue;
-    }
+      el.checked = xs.some(function(x) {
+        return String(formatFormValue(self, x)) === el.value;
+      });
+    });
+  },
+
+  // Arrays of selected files for file inputs. Setting an empty value clears
+  // the input.
+  files: function filesBindingUpdate() {
+    formBindingUpdate(this, 'change', function(self, el) {
+      return parseFormValue(self, [].slice.call(el.files || []));
+    }, function(self, el, x) {
+      x = formatFormValue(self, x);
+      if (nullish(x) || x.length === 0) { el.value = '' }
+    });
   },
 };
 
+// Form bindings (checked, value, valueAsNumber, selectedValues, group and
+// files) are two-way: on first update, an event handler is added to track
+// changes made by the user, calling binding.set with the value returned by
+// read(binding, el) (unless it's skipFormValue). On update, write(binding, el,
+// x) updates the element if the value returned by binding.get changed.
+// Supported binding props, besides get and set:
+// parse: function converting values read from the element (each value, for
+// arrays) before they're set;
+// format: function converting values to write to the element (each value, for
+// arrays);
+// lazy: true to track change events instead of input events.
+var skipFormValue = {};
+
+function formBindingUpdate(self, evName, read, write) {
+  var newValue;
+
+  if (!self.setHandler) {
+    listen(self.target, self.lazy ? 'change' : evName, self.setHandler = function() {
+      var x;
+
+      try {
+        x = read(self, self.target);
+        if (x === skipFormValue) { return }
+
+        self.lastValue = x;
+        self.set && self.set(x);
+      } catch (e) {
+        reportError(e, bindingErrorInfo(self));
+      }
+
+      // Calling self.set inherently changes application state, so we may
+      // need to update other bindings elsewhere that depend on it.
+      self.set && updateSync();
+    });
+  }
+
+  if (self.get) {
+    newValue = self.get();
+
+    // If the value hasn't changed, do nothing.
+    if ('lastValue' in self && sameValue(newValue, self.lastValue)) { return }
+
+    // Update element and remember updated value.
+    write(self, self.target, newValue);
+    self.lastValue = newValue;
+  }
+}
+
+function parseFormValue(b, x) { return b.parse ? b.parse(x) : x }
+function formatFormValue(b, x) { return b.format ? b.format(x) : x }
+
+// Compares values, arrays (shallowly), and NaNs.
+function sameValue(a, b) {
+  var i;
+
+  if (a === b || (a !== a && b !== b)) { return true }
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) { return false }
+
+  for (i = 0; i < a.length; i++) {
+    if (!sameValue(a[i], b[i])) { return false }
+  }
+
+  return true;
+}
+
 function createBinding(x) { return new Binding(x) }
 
+// Returns a two-way Binding to the value at path (a dot-separated string or an
+// array of keys) in obj, e.g. d.ref(state, 'user.name'). This is the runtime
+// counterpart to babelatrix's d.ref(state.user.name) macro. Other binding props
+// (e.g. parse, format and lazy for form bindings) can be supplied as opts.
+function createRef(obj, path, opts) {
+  var keys = Array.isArray(path) ? path : String(path).split('.');
+  var lastKey = keys[keys.length - 1], parentKeys = keys.slice(0, -1);
+
+  function getParent() {
+    return parentKeys.reduce(function(x, k) { return x[k] }, obj);
+  }
+
+  return new Binding(objAssign({
+    get: function() { return getParent()[lastKey] },
+    set: function(x) { return getParent()[lastKey] = x },
+  }, opts));
+}
+
 // Initializes common binding props (target, key, subkey, update) and adds
 // bindings to DOM nodes.
 function bindToNode(n, key, subkey, binding) {
@@ -220,6 +344,41 @@ function bindToNode(n, key, subkey, binding) {
   (n.bindings = n.bindings || []).push(binding);
 }
 
+// Adds event listeners and remembers them in n.listeners, so they can be
+// carried over to other nodes (see hydrate).
+function listen(n, evName, fn) {
+  n.addEventListener(evName, fn);
+  (n.listeners = n.listeners || []).push({ evName: evName, fn: fn });
+}
+
+function unlisten(n, evName, fn) {
+  n.removeEventListener(evName, fn);
+
+  n.listeners = (n.listeners || []).filter(function(l) {
+    return l.evName !== evName || l.fn !== fn;
+  });
+}
+
+// Element refs: ref (a callback or a Binding with a setter) is called with el
+// on creation and whenever el is attached to the document, and with null
+// whenever el is detached from it.
+function bindRef(el, ref) {
+  var fn = ref instanceof Binding ? ref.set : ref;
+
+  if (typeof fn !== 'function') {
+    throw new TypeError('Element refs must be functions or Bindings with setters');
+  }
+
+  fn(el);
+
+  bindToNode(el, 'onAttach', null, createBinding({ update: null, handler: fn }));
+
+  bindToNode(el, 'onDetach', null, createBinding({
+    update: null,
+    handler: function() { fn(null) },
+  }));
+}
+
 // Support for JSX "fragment" syntax.
 function JsxFragment(props) { return props.children || [] }
 
@@ -263,26 +422,16 @@ function createElement(type) {
       })(k, v);
     }
 
-    // Instantiate and call render if type is a class and/or its prototype has
-    // a render method.
-    if (type.prototype && (
-      typeof type.prototype.render === 'function' ||
-      classTypeRegExp.test(type.toString())
-    )) {
-      return new type(props).render();
-    }
-
-    // Otherwise just call it as a regular function.
-    return type(props);
+    return nameComponentNodes(renderComponent(type, props), type);
   }
 
   // If type is an existing element, use it.
-  if (type instanceof Node) { el = type }
+  if (isNode(type)) { el = type }
   else {
     // Otherwise element type is a string representing a tag name, which we create.
     el = type.indexOf('svg:') !== 0
-      ? document.createElement(type)
-      : document.createElementNS('http://www.w3.org/2000/svg', type.split(':')[1]);
+      ? getDocument().createElement(type)
+      : getDocument().createElementNS(svgNs, type.split(':')[1]);
   }
 
   // For each prop...
@@ -301,18 +450,25 @@ function createElement(type) {
         continue;
       }
 
-      el.addEventListener(evName, (function(v, ev) {
-        var ret = v(ev);
+      listen(el, evName, (function(k, v, ev) {
+        var ret, info = { type: 'event', node: el, key: k };
+
+        try { ret = v(ev) } catch (e) { reportError(e, info) }
         updateSync();
 
-        if (ret && typeof ret.then === 'function') {
-          ret.then(function() { updateSync() });
+        if (isThenable(ret)) {
+          ret.then(function() { updateSync() }, function(e) {
+            reportError(e, info);
+            updateSync();
+          });
         }
-      }).bind(null, v));
+      }).bind(null, k, v));
 
       continue;
     }
 
+    if (k === 'ref') { bindRef(el, v); continue }
+
     // Wrap any other function props in Bindings.
     if (v instanceof Function) { v = new Binding(v) }
 
@@ -404,461 +560,3404 @@ function createElement(type) {
   return el;
 }
 
-function createComment(text) {
-  return document.createComment(!nullish(text) ? ' ' + text + ' ' : ' ');
-}
+// Components being rendered, innermost last, each with the cleanup functions
+// and effects registered while rendering it (see onCleanup and effect).
+var componentScopes = [];
 
-function createBoundComment(text, bindingProps) {
-  var c = createComment(text);
-  c.bindings = [new Binding(objAssign(bindingProps, { target: c }))];
-  ieNodes && ieNodes.push(c);
-  return c;
-}
+function renderComponent(type, props) {
+  var scope = {
+    cleanups: [],
+    effects: [],
+    effectCleanups: [],
+    attachedNodes: new Set(),
+  }, ret;
 
-function createIfAnchor(predFn, thenNodes, elseNodes) {
-  return createBoundComment('if anchor', {
-    get: predFn,
-    thenNodes: thenNodes,
-    elseNodes: elseNodes,
-    update: ifAnchorBindingUpdate,
-  });
-}
+  componentScopes.push(scope);
 
-function ifAnchorBindingUpdate() {
-  var i, n;
-  var nAnchor = this.target, parentEl = nAnchor.parentNode;
-  var newValue = Boolean(this.get()), nNew, nTail;
+  try { ret = callComponent(type, props) }
+  finally { componentScopes.pop() }
 
-  if (newValue === this.lastValue) {
-    // Ensure anchoredNodes (if any) are really anchored to parentEl.
-    // Other binding updates may have ejected them.
-    if (
-      nAnchor.anchoredNodes &&
-      nAnchor.anchoredNodes.length &&
-      nAnchor.anchoredNodes[0].parentNode !== parentEl
-    ) {
-      insertBeforeWithAnchoredNodes(
-        parentEl, nAnchor.anchoredNodes, nAnchor.nextSibling);
-    }
+  return scope.cleanups.length || scope.effects.length
+    ? bindComponentScope(ret, scope) : ret;
+}
 
-    // If the value hasn't changed, do nothing else.
-    return;
+function callComponent(type, props) {
+  var ret;
+
+  // Instantiate and call render if type is a class and/or its prototype has
+  // a render method.
+  if (type.prototype && (
+    typeof type.prototype.render === 'function' ||
+    classTypeRegExp.test(type.toString())
+  )) {
+    ret = new type(props);
+    return ret instanceof Component ? mountComponent(ret, props) : ret.render();
   }
 
-  // Since the value has changed, remove currently anchored nodes (if any).
-  if (nAnchor.anchoredNodes && nAnchor.anchoredNodes.length) {
-    for (i = 0; i < nAnchor.anchoredNodes.length; i++) {
-      removeWithAnchoredNodes(nAnchor.anchoredNodes[i]);
-    }
-  }
+  // Otherwise just call it as a regular function.
+  ret = type(props);
 
-  if (!nAnchor.anchoredNodes || nAnchor.anchoredNodes.length) {
-    nAnchor.anchoredNodes = [];
-  }
+  // Async components are rendered through an async anchor, which calls them
+  // again on retries.
+  if (!isThenable(ret)) { return ret }
+
+  return createAsyncAnchor(function() {
+    var p = ret || type(props);
+    ret = null;
+    return p;
+  });
+}
 
-  nNew = newValue ? this.thenNodes : this.elseNodes;
+// d.onCleanup(fn) registers fn to be called whenever the nodes rendered by the
+// component currently being rendered are detached from the document (again,
+// if they're reattached first).
+function onCleanup(fn) {
+  currentComponentScope('onCleanup').cleanups.push(fn);
+}
 
-  // Append new nodes (if any) after anchor and store them as anchored nodes.
-  if (nNew) {
-    nTail = nAnchor.nextSibling;
-    nNew = Array.isArray(nNew) ? nNew : [nNew];
+// d.effect(fn) calls fn whenever the nodes rendered by the component currently
+// being rendered are attached to the document. If it returns a function, it's
+// called when they're detached again.
+function effect(fn) {
+  currentComponentScope('effect').effects.push(fn);
+}
 
-    for (i = 0; i < nNew.length; i++) {
-      n = appendableNode(nNew[i]);
-      if (!n) { continue }
+function currentComponentScope(name) {
+  var scope = componentScopes[componentScopes.length - 1];
 
-      insertBeforeWithAnchoredNodes(parentEl, n, nTail);
-      nAnchor.anchoredNodes.push(n);
-    }
+  if (!scope) {
+    throw new Error('d.' + name + ' must be called while rendering a component');
   }
 
-  // Remember updated value.
-  this.lastValue = newValue;
+  return scope;
 }
 
-function createMapAnchor(getFn) {
-  var sep = arguments.length === 3 && arguments[1];
-  var mapFn = arguments.length === 2 ? arguments[1] : arguments[2];
+// Binds lifecycle hooks running scope's effects and cleanups to every root node
+// rendered by a component (which may be fragments or anchor comments). Effects
+// run when the first root is attached, cleanups when the last one is detached.
+// Functions registered with onCleanup are kept for later detachments, while
+// the ones effects returned are replaced as they run again.
+function bindComponentScope(ret, scope) {
+  var ns = !Array.isArray(ret)
+    ? [appendableNode(ret)].filter(Boolean)
+    : flat(ret, 10).map(appendableNode).filter(Boolean);
+
+  // Roots are tracked as their hooks run, since hydrate moves them to other
+  // nodes.
+  function attach(n) {
+    scope.attachedNodes.add(n);
+    if (scope.attachedNodes.size > 1) { return }
+
+    scope.effects.forEach(function(fn) {
+      var cleanup = runComponentScopeFn(fn, n, 'effect');
+      typeof cleanup === 'function' && scope.effectCleanups.push(cleanup);
+    });
+  }
 
-  return createBoundComment('map anchor', {
-    get: getFn,
-    map: mapFn,
-    nSep: sep && appendableNode(sep),
-    nSepPool: [],
-    update: mapAnchorBindingUpdate,
+  function detach(n) {
+    if (!scope.attachedNodes.delete(n) || scope.attachedNodes.size) { return }
+
+    scope.cleanups.concat(scope.effectCleanups.splice(0)).forEach(function(fn) {
+      runComponentScopeFn(fn, n, 'onCleanup');
+    });
+  }
+
+  ns.forEach(function(n) {
+    bindToNode(n, 'onAttach', null, createBinding({ update: null, handler: attach }));
+    bindToNode(n, 'onDetach', null, createBinding({ update: null, handler: detach }));
   });
+
+  return Array.isArray(ret) ? ns : ns[0];
 }
 
-function Cursor() {}
+function runComponentScopeFn(fn, n, key) {
+  try { return fn() }
+  catch (e) { reportError(e, { type: 'lifecycle', node: n, key: key }) }
+}
 
-Cursor.prototype.toString = function() { return String(this.index) };
-Cursor.prototype.valueOf = function() { return this.index };
+// Records component names on rendered root nodes (n.componentNames, innermost
+// first), for error reports (see componentPath).
+function nameComponentNodes(ret, type) {
+  var name = type.displayName || type.name || 'Anonymous';
 
-function mapAnchorBindingUpdate() {
-  var self = this, i, j, n, meta, nFirst, nSep;
-  var nAnchor = self.target, nTail, parentEl = nAnchor.parentNode, updatedNodes;
-  var newArray = [].slice.call(self.get() || []), dirty = false;
+  (Array.isArray(ret) ? flat(ret, 10) : [ret]).forEach(function(n) {
+    if (isNode(n)) { (n.componentNames = n.componentNames || []).push(name) }
+  });
 
-  // Initialize to empty arrays/maps if this is the first execution.
-  self.lastArray = self.lastArray || [];
-  self.lastNodes = self.lastNodes || [];
-  self.valueMap = self.valueMap || new Map();
+  return ret;
+}
 
-  // Ensure anchoredNodes (if any) are really anchored to parentEl.
-  // Other binding updates may have ejected them.
-  if (
-    nAnchor.anchoredNodes &&
-    nAnchor.anchoredNodes.length &&
-    nAnchor.anchoredNodes[0].parentNode !== parentEl
-  ) {
-    insertBeforeWithAnchoredNodes(
-      parentEl, nAnchor.anchoredNodes, nAnchor.nextSibling);
-  }
+// Returns the names of the components n was rendered by, outermost first.
+function componentPath(n) {
+  var names = [];
 
-  for (i = 0; i < Math.max(self.lastArray.length, newArray.length); i++) {
-    if (self.lastArray[i] !== newArray[i]) { dirty = true; break }
+  while (n) {
+    if (n.componentNames) {
+      names = n.componentNames.slice().reverse().concat(names);
+    }
+
+    n = n.contextParent || n.parentNode;
   }
 
-  if (!dirty) { return }
+  return names;
+}
 
-  (nAnchor.anchoredNodes || []).forEach(function(n) { removeWithAnchoredNodes(n) });
-  nTail = nAnchor.nextSibling;
-  self.valueMap = new Map();
+// Optional base class for component classes. Components extending it get:
+// this.props (unless set by the constructor itself);
+// a getter (and setter) for each prop not otherwise defined by the class,
+// returning the d.resolve'd prop value (e.g. this.whom for props.whom);
+// onAttach/onDetach methods (if any) called when the rendered nodes are
+// attached to/detached from the document;
+// this.update(), which updates only the rendered nodes (see update).
+// Prop getters are defined by the constructor already, so class field
+// initializers can use them.
+function Component(props) {
+  if (props) { this.props = props }
+  definePropGetters(this);
+}
 
-  updatedNodes = newArray.map(function(x, i) {
-    meta = self.valueMap.get(x) || {};
-    objAssign(meta.cursor = meta.cursor || new Cursor(), { index: i });
-    n = meta.n;
+function definePropGetters(c) {
+  var k;
 
-    if (!n) {
-      n = meta.n = self.map(x, meta.cursor);
+  for (k in c.props) {
+    if (k in c) { continue }
 
-      n = meta.n = !Array.isArray(n)
-        ? appendableNode(n)
-        : n.map(appendableNode).filter(Boolean);
-    }
+    (function(k) {
+      Object.defineProperty(c, k, {
+        configurable: true,
+        enumerable: true,
+        get: function() { return resolve(c.props[k]) },
+        set: function(x) { c.props[k] = x },
+      });
+    })(k);
+  }
+}
 
-    insertBeforeWithAnchoredNodes(parentEl, n, nTail);
-    self.valueMap.set(x, meta);
-    return n;
-  });
+Component.prototype.update = function() {
+  var p, i, ns = this.renderedNodes || [];
+  if (!ns.length) { return update() }
 
-  // Remember updated array values and its associated nodes.
-  self.lastArray = newArray;
-  self.lastNodes = updatedNodes;
+  for (i = 0; i < ns.length; i++) { p = update(ns[i]) }
+  return p;
+};
 
-  // Copy updatedNodes so we can add separators as well to anchoredNodes,
-  // without affecting updatedNodes/lastNodes.
-  nAnchor.anchoredNodes = [].slice.call(updatedNodes);
+function mountComponent(c, props) {
+  var n, nFirst;
 
-  // Create/move separators into place.
-  if (self.nSep) {
-    for (i = 1, j = 0; i < updatedNodes.length; i++) {
-      nSep = self.nSepPool[i - 1];
-      if (!nSep) { nSep = self.nSep.cloneNode(true); self.nSepPool.push(nSep) }
+  // Props set by the constructor itself get their getters now.
+  c.props = c.props || props;
+  c.renderedNodes = [];
+  definePropGetters(c);
 
-      n = updatedNodes[i];
-      nFirst = Array.isArray(n) ? n[0] : n;
+  n = c.render();
 
-      if (nFirst && nSep.nextSibling !== nFirst) {
-        parentEl.insertBefore(nSep, nFirst);
+  // Rendered nodes are normalized so there's always a node to bind lifecycle
+  // hooks to (the first one).
+  n = !Array.isArray(n)
+    ? appendableNode(n)
+    : flat(n, 10).map(appendableNode).filter(Boolean);
 
-        // j keeps track of the index drift between updatedNodes and
-        // anchoredNodes caused by the insertion of previous separators.
-        nAnchor.anchoredNodes.splice(i + j++, 0, nSep);
-      }
-    }
+  c.renderedNodes = arrayify(n || []);
+  nFirst = c.renderedNodes[0];
 
-    // Remove unused separators from the document.
-    for (; i < self.nSepPool.length; i++) {
-      nSep = self.nSepPool[i];
-      parentEl.removeChild(nSep);
-    }
+  if (nFirst && typeof c.onAttach === 'function') {
+    bindToNode(nFirst, 'onAttach', null, createBinding({
+      update: null,
+      handler: function(n) { c.onAttach(n) },
+    }));
+  }
 
-    // Truncate nSepPool (lets unused separators be garbage collected).
-    self.nSepPool.length = Math.max(0, updatedNodes.length - 1);
+  if (nFirst && typeof c.onDetach === 'function') {
+    bindToNode(nFirst, 'onDetach', null, createBinding({
+      update: null,
+      handler: function(n) { c.onDetach(n) },
+    }));
   }
 
-  nAnchor.anchoredNodes = flat(nAnchor.anchoredNodes, 10);
+  return n;
 }
 
-function createTextNode(getFn) {
-  var n = document.createTextNode('');
+function createComment(text) {
+  return getDocument().createComment(!nullish(text) ? ' ' + text + ' ' : ' ');
+}
 
-  n.bindings = [new Binding({
-    get: getFn,
-    update: textNodeBindingUpdate,
-    target: n,
-  })];
+function createBoundComment(text, bindingProps) {
+  var c = createComment(text);
+  c.bindings = [new Binding(objAssign(bindingProps, { target: c }))];
+  ieNodes && ieNodes.push(c);
+  return c;
+}
 
-  ieNodes && ieNodes.push(n);
-  return n;
+// d.if(predFn, thenNodes, [elseNodes], [opts]).
+// Branches can be functions returning nodes, which are only called when the
+// branch is first shown. Their nodes are kept for whenever it's shown again.
+// Supported opts:
+// cache: false to discard nodes built by branch functions when the predicate
+// flips (they're built again the next time);
+// onEnter, onLeave, appear: transition hooks (see enterNode and leaveNode).
+function createIfAnchor(predFn, thenNodes, elseNodes, opts) {
+  if (!opts && isPlainObject(elseNodes)) { opts = elseNodes; elseNodes = null }
+  opts = opts || {};
+
+  return createBoundComment('if anchor', {
+    get: predFn,
+    thenFn: typeof thenNodes === 'function' ? thenNodes : null,
+    elseFn: typeof elseNodes === 'function' ? elseNodes : null,
+    thenNodes: typeof thenNodes !== 'function' ? thenNodes : null,
+    elseNodes: typeof elseNodes !== 'function' ? elseNodes : null,
+    cache: opts.cache !== false,
+    onEnter: opts.onEnter,
+    onLeave: opts.onLeave,
+    appear: opts.appear,
+    update: ifAnchorBindingUpdate,
+  });
 }
 
-function textNodeBindingUpdate() {
-  var newValue = this.get();
+function ifAnchorBindingUpdate() {
+  var newValue = Boolean(this.get());
 
-  // Convert nullish and boolean values to empty strings. Cast everything
-  // else to string.
-  if (nullish(newValue) || typeof newValue === 'boolean') { newValue = '' }
-  else { newValue = String(newValue) }
+  // If the value hasn't changed, do nothing else.
+  if (newValue === this.lastValue) { reanchorNodes(this.target); return }
 
-  // If the value hasn't changed, do nothing.
-  if (newValue === this.lastValue) { return }
+  // Discard nodes built by branch functions, unless they're to be kept.
+  if (!this.cache) {
+    if (this.thenFn) { this.thenNodes = null }
+    if (this.elseFn) { this.elseNodes = null }
+  }
 
-  // Update node and remember updated value.
-  this.lastValue = this.target.textContent = newValue;
+  if (newValue && this.thenFn && !this.thenNodes) {
+    this.thenNodes = buildBranch(this.thenFn);
+  }
+
+  if (!newValue && this.elseFn && !this.elseNodes) {
+    this.elseNodes = buildBranch(this.elseFn);
+  }
+
+  replaceAnchoredNodes(this.target, newValue ? this.thenNodes : this.elseNodes, this);
+
+  // Remember updated value.
+  this.lastValue = newValue;
 }
 
-function createPortalNode(getFn) {
-  return createBoundComment('portal anchor', {
+// Returns the nodes of branch x (nodes or a function returning nodes) as an
+// array.
+function buildBranch(x) {
+  var ns = resolve(x);
+  return flat(arrayify(!nullish(ns) ? ns : []), 10).map(appendableNode).filter(Boolean);
+}
+
+// d.switch(getFn, cases, [opts]).
+// Shows the nodes of the case named after getFn's return value (or
+// cases.default, if there's no such case). Cases are nodes or functions
+// returning nodes, which are only called when the case is first shown. Their
+// nodes are cached and shown again whenever it's selected again. Supported
+// opts:
+// cache: false to discard cached nodes when switching to another case;
+// onEnter, onLeave, appear: transition hooks (see enterNode and leaveNode).
+function createSwitchAnchor(getFn, cases, opts) {
+  opts = opts || {};
+
+  return createBoundComment('switch anchor', {
     get: getFn,
-    update: portalAnchorBindingUpdate,
+    cases: cases,
+    cache: opts.cache !== false,
+    branches: new Map(),
+    onEnter: opts.onEnter,
+    onLeave: opts.onLeave,
+    appear: opts.appear,
+    update: switchAnchorBindingUpdate,
   });
 }
 
-function portalAnchorBindingUpdate() {
-  var newValue = this.get();
+function switchAnchorBindingUpdate() {
+  var k = String(this.get()), ns;
 
-  // If the value hasn't changed, do nothing.
-  if (newValue === this.lastValue) { return }
+  if (!this.cases.hasOwnProperty(k)) { k = 'default' }
 
-  // Remove old node.
-  this.lastValue && this.lastValue.remove();
+  // If the selected case hasn't changed, do nothing else.
+  if (k === this.lastValue) { reanchorNodes(this.target); return }
 
-  // Insert new one.
-  newValue &&
-    this.target.parentNode.insertBefore(newValue, this.target.nextSibling);
+  if (!this.cache) { this.branches.clear() }
 
-  // Remember updated value.
-  this.lastValue = newValue;
+  if (this.branches.has(k)) { ns = this.branches.get(k) }
+  else {
+    ns = buildBranch(this.cases.hasOwnProperty(k) ? this.cases[k] : null);
+    this.branches.set(k, ns);
+  }
+
+  replaceAnchoredNodes(this.target, ns, this);
+
+  // Remember the selected case and its nodes.
+  this.lastValue = k;
+  this.lastNodes = ns;
 }
 
-function fromContext(n, k) {
-  while (n) {
-    if (n.context && n.context[k]) { return n.context[k] }
-    n = n.parentNode;
-  }
+// Transition hooks:
+// onEnter: function(el) called for elements inserted by an anchor;
+// onLeave: function(el) called for elements about to be removed by an anchor.
+// If it returns a promise, removal is deferred until it settles (unless the
+// element is inserted again by then);
+// appear: whether to call onEnter for elements inserted by the anchor's first
+// update too (defaults to false).
+// Other nodes (text, comments) are inserted and removed right away.
+function enterNode(n, b) {
+  delete n.leaving;
+
+  if (!b || !b.onEnter || n.nodeType !== 1 || !(b.entered || b.appear)) { return }
+
+  try { b.onEnter(n) }
+  catch (e) { reportError(e, { type: 'transition', node: n, key: 'onEnter' }) }
 }
 
-function forEachNodeWithBindings(ns, cb) {
-  var queue = [].slice.call(ns), n;
+function leaveNode(n, b) {
+  var p, token;
 
-  while (queue.length) {
-    n = queue.shift();
-    n.bindings && cb(n);
-    if (n.childNodes) { [].unshift.apply(queue, n.childNodes) }
+  if (!b || !b.onLeave || n.nodeType !== 1 || !n.parentNode) {
+    removeWithAnchoredNodes(n);
+    return;
   }
-}
 
-function processMutations(muts, observer, di) {
-  di = di || {};
-  di.boundNodes = di.boundNodes || boundNodes;
-  di.updateSync = di.updateSync || updateSync;
-  di.console = di.console || console;
+  token = n.leaving = {};
 
-  var i, j, mut, n, b;
-  var newNodes = [], orphanedNodes = [];
+  try { p = b.onLeave(n) }
+  catch (e) { reportError(e, { type: 'transition', node: n, key: 'onLeave' }) }
 
-  // Collect newNodes.
-  for (i = 0; i < muts.length; i++) {
-    mut = muts[i];
+  if (!isThenable(p)) { done(); return }
 
-    for (j = 0; j < mut.addedNodes.length; j++) {
-      newNodes.push(mut.addedNodes[j]);
-    }
-  }
+  p.then(done, function(e) {
+    reportError(e, { type: 'transition', node: n, key: 'onLeave' });
+    done();
+  });
 
-  // Collect orphanedNodes.
-  for (i = 0; i < muts.length; i++) {
-    mut = muts[i];
+  function done() {
+    if (n.leaving !== token) { return }
 
-    for (j = 0; j < mut.removedNodes.length; j++) {
-      n = mut.removedNodes[j];
-      if (newNodes.indexOf(n) === -1) { orphanedNodes.push(n) }
-    }
+    delete n.leaving;
+    invalidateBoundDescendants(n);
+    removeWithAnchoredNodes(n);
   }
+}
 
-  // Recursively remove boundNodes collected in the orphanedNodes array.
-  forEachNodeWithBindings(orphanedNodes, function(n) {
-    i = di.boundNodes.indexOf(n);
-    if (i === -1) { return }
+// d.transition(name, [opts]).
+// Returns CSS class based transition hooks. Entering elements get the
+// name-enter-from and name-enter-active classes, then name-enter-from is
+// swapped for name-enter-to on the next frame, and both active and to classes
+// are removed once their CSS transitions/animations end. Leaving elements go
+// through name-leave-from, name-leave-active and name-leave-to the same way,
+// and are removed afterwards. Supported opts:
+// duration: milliseconds to wait instead of reading them from computed styles;
+// appear: see enterNode and leaveNode.
+function createTransition(name, opts) {
+  opts = opts || {};
+
+  function run(el, phase) {
+    var cls = function(x) { return name + '-' + phase + '-' + x };
+
+    return new Promise(function(resolve) {
+      el.classList.add(cls('from'), cls('active'));
+
+      nextFrame(function() {
+        el.classList.remove(cls('from'));
+        el.classList.add(cls('to'));
+
+        setTimeout(function() {
+          el.classList.remove(cls('active'), cls('to'));
+          resolve();
+        }, !nullish(opts.duration) ? opts.duration : transitionDuration(el));
+      });
+    });
+  }
 
-    di.boundNodes.splice(i, 1);
+  return {
+    onEnter: function(el) { run(el, 'enter') },
+    onLeave: function(el) { return run(el, 'leave') },
+    appear: opts.appear,
+  };
+}
 
-    for (i = 0; i < n.bindings.length; i++) {
-      b = n.bindings[i];
+// Returns the milliseconds el's longest CSS transition or animation takes,
+// including delays.
+function transitionDuration(el) {
+  var view = getDocument().defaultView, style, max = 0;
 
-      if (onDetachRegExp.test(b.key)) {
-        try { b.handler(n) } catch (e) { di.console.error(e) }
-        break;
+  if (!view || !view.getComputedStyle) { return 0 }
+  style = view.getComputedStyle(el);
+
+  ['transition', 'animation'].forEach(function(k) {
+    var durations = String(style[k + 'Duration'] || '').split(',');
+    var delays = String(style[k + 'Delay'] || '').split(',');
+
+    durations.forEach(function(x, i) {
+      max = Math.max(max, parseCssTime(x) + parseCssTime(delays[i % delays.length]));
+    });
+  });
+
+  return max;
+}
+
+function parseCssTime(x) {
+  var n = parseFloat(x);
+  if (isNaN(n)) { return 0 }
+  return /ms\s*$/.test(x) ? n : n * 1000;
+}
+
+function nextFrame(fn) {
+  return (typeof requestAnimationFrame !== 'undefined'
+    ? requestAnimationFrame
+    : setTimeout
+  )(fn);
+}
+
+// Ensures anchoredNodes (if any) are really anchored to nAnchor's parent node.
+// Other binding updates may have ejected them.
+function reanchorNodes(nAnchor) {
+  var parentEl = nAnchor.parentNode;
+
+  if (
+    parentEl &&
+    nAnchor.anchoredNodes &&
+    nAnchor.anchoredNodes.length &&
+    nAnchor.anchoredNodes[0].parentNode !== parentEl
+  ) {
+    insertBeforeWithAnchoredNodes(
+      parentEl, nAnchor.anchoredNodes, nAnchor.nextSibling);
+  }
+}
+
+// Removes currently anchored nodes (if any), then inserts ns (a value
+// convertible to a node, or a (nested) array of those) after nAnchor and
+// stores them as its anchored nodes. Transition hooks in b (the anchor's
+// binding), if any, are called for removed and inserted nodes.
+function replaceAnchoredNodes(nAnchor, ns, b) {
+  var i, n, parentEl = nAnchor.parentNode, nTail;
+
+  invalidateBoundDescendants(nAnchor);
+  (nAnchor.anchoredNodes || []).forEach(function(n) { leaveNode(n, b) });
+  nAnchor.anchoredNodes = [];
+
+  ns = flat(arrayify(!nullish(ns) ? ns : []), 10);
+  nTail = nAnchor.nextSibling;
+
+  for (i = 0; i < ns.length; i++) {
+    n = appendableNode(ns[i]);
+    if (!n) { continue }
+
+    // Detached anchors get their nodes inserted later (see reanchorNodes).
+    parentEl && insertBeforeWithAnchoredNodes(parentEl, n, nTail);
+    nAnchor.anchoredNodes.push(n);
+    n.contextParent = nAnchor;
+    parentEl && enterNode(n, b);
+  }
+
+  if (b && parentEl) { b.entered = true }
+}
+
+// d.async(promiseFn, [opts]).
+// Shows the nodes promiseFn's returned promise resolves to. Supported opts:
+// pending: nodes (or a function returning nodes) shown while it's pending;
+// error: function(err, retry) returning nodes shown if it's rejected (when
+// missing, errors are handled like binding errors);
+// deps: function returning an array of values. promiseFn is called again
+// whenever any of them changes (otherwise it's only called once).
+function createAsyncAnchor(promiseFn, opts) {
+  opts = opts || {};
+
+  return createBoundComment('async anchor', {
+    get: promiseFn,
+    pending: opts.pending,
+    // Not b.error, which is where binding errors are tracked.
+    errorView: opts.error,
+    deps: opts.deps,
+    runs: 0,
+    update: asyncAnchorBindingUpdate,
+  });
+}
+
+function asyncAnchorBindingUpdate() {
+  var self = this, nAnchor = self.target, run, i, p;
+  var deps = self.deps ? [].slice.call(self.deps()) : [];
+
+  if (self.lastDeps) {
+    for (i = 0; i < Math.max(self.lastDeps.length, deps.length); i++) {
+      if (self.lastDeps[i] !== deps[i]) { break }
+    }
+
+    // If dependencies haven't changed, do nothing else.
+    if (i === Math.max(self.lastDeps.length, deps.length)) {
+      reanchorNodes(nAnchor);
+      return;
+    }
+  }
+
+  // Remember updated dependencies and identify this run, so that results from
+  // previous runs settling later are ignored.
+  self.lastDeps = deps;
+  run = ++self.runs;
+
+  p = self.get();
+  replaceAnchoredNodes(nAnchor, resolve(self.pending));
+
+  function retry() {
+    self.lastDeps = null;
+    self.update();
+  }
+
+  Promise.resolve(p).then(function(x) {
+    if (run === self.runs) { replaceAnchoredNodes(nAnchor, x) }
+  }, function(e) {
+    if (run !== self.runs) { return }
+
+    if (self.errorView) {
+      replaceAnchoredNodes(nAnchor, self.errorView(e, retry));
+      return;
+    }
+
+    replaceAnchoredNodes(nAnchor, null);
+    handleBindingError(e, self, {});
+  }).then(null, function(e) {
+    // Results that can't be shown and errors thrown by error views are
+    // reported like binding errors, with nothing shown.
+    if (run === self.runs) { replaceAnchoredNodes(nAnchor, null) }
+    handleBindingError(e, self, {});
+  });
+}
+
+// Error boundaries: <d.ErrorBoundary fallback={(err, retry) => nodes}>.
+// Errors thrown while rendering children or updating bindings under the
+// boundary are caught, and the nodes returned by fallback are shown instead
+// until retry is called. Errors thrown while rendering can only be caught if
+// children are supplied as a render function (render prop), which babelatrix
+// does automatically for JSX children.
+var errorBoundaryKey = 'd:errorBoundary';
+
+function ErrorBoundary(props) {
+  var nAnchor = createBoundComment('error boundary', {
+    fallback: props.fallback,
+    render: props.render,
+    children: props.children,
+    caught: null,
+    update: errorBoundaryBindingUpdate,
+  });
+
+  var b = nAnchor.bindings[0];
+
+  b.retry = function() { renderErrorBoundary(b) };
+  nAnchor.context = {};
+  nAnchor.context[errorBoundaryKey] = b;
+
+  renderErrorBoundary(b);
+  return nAnchor;
+}
+
+function renderErrorBoundary(b) {
+  var ns;
+
+  try { ns = b.render ? b.render() : b.children }
+  catch (e) { catchError(b, e); return }
+
+  b.caught = null;
+  showErrorBoundaryNodes(b, ns);
+}
+
+// Errors thrown by fallback are passed on to outer boundaries (or reported if
+// there are none), and the boundary shows nothing.
+function catchError(b, e) {
+  var ns, outer, info;
+
+  b.caught = e;
+
+  try { ns = b.fallback ? b.fallback(e, b.retry) : null }
+  catch (e2) {
+    showErrorBoundaryNodes(b, null);
+
+    outer = findErrorBoundary(b.target);
+    info = { type: 'binding', node: b.target, key: 'fallback', binding: b };
+
+    if (!outer) { reportError(e2, info); return }
+
+    emitError(e2, objAssign(info, { boundary: outer.target }));
+    catchError(outer, e2);
+    return;
+  }
+
+  showErrorBoundaryNodes(b, ns);
+}
+
+// Nodes are shown right away if the boundary is in the document, or on its
+// first update otherwise.
+function showErrorBoundaryNodes(b, ns) {
+  b.nodes = ns;
+  b.target.parentNode && b.update();
+}
+
+function errorBoundaryBindingUpdate() {
+  // If the shown nodes haven't changed, do nothing else.
+  if (this.nodes === this.lastValue) { reanchorNodes(this.target); return }
+
+  replaceAnchoredNodes(this.target, this.nodes);
+
+  // Remember updated value.
+  this.lastValue = this.nodes;
+}
+
+// Returns the binding of the closest error boundary around n able to catch
+// errors. Boundaries already showing their fallback (or failing themselves)
+// pass errors on to outer ones.
+function findErrorBoundary(n) {
+  var b = fromContext(n, errorBoundaryKey);
+
+  while (b && (b.caught || b.target === n)) {
+    n = b.target;
+    b = fromContext(n.contextParent || n.parentNode, errorBoundaryKey);
+  }
+
+  return b || null;
+}
+
+// d.map(getFn, [sep,] mapFn, [opts]).
+// getFn may return any collection supported by collectionEntries. For Maps and
+// plain objects, the key of each value is available to the map function as
+// cursor.key (otherwise it's the index). Supported opts:
+// key: function(x, i) returning the identity of array value x. Defaults to x
+// itself, for Maps and plain objects too: a new value under the same key is
+// mapped again. Values with the same key as a previous value reuse its nodes,
+// even when they're different objects (e.g. after refetching JSON). In that
+// case, the current value is available to the map function as cursor.item.
+// onEnter, onLeave, appear: transition hooks (see enterNode and leaveNode);
+// animateMoves: true or { duration, easing, move } to animate elements to
+// their new positions when the array is reordered (see flipMoves).
+function createMapAnchor(getFn) {
+  var args = [].slice.call(arguments, 1);
+  var opts = args.length > 1 && isPlainObject(args[args.length - 1]) ? args.pop() : {};
+  var sep = args.length === 2 && args[0];
+  var mapFn = args.length === 1 ? args[0] : args[1];
+
+  return createBoundComment('map anchor', {
+    get: getFn,
+    map: mapFn,
+    key: opts.key,
+    onEnter: opts.onEnter,
+    onLeave: opts.onLeave,
+    appear: opts.appear,
+    animateMoves: opts.animateMoves,
+    nSep: sep && appendableNode(sep),
+    nSepPool: [],
+    update: mapAnchorBindingUpdate,
+  });
+}
+
+// Cursors are passed to map functions along with array values, and kept up to
+// date as values move around. They have the value's current index, the value
+// itself (item), and the whole array (from which length, isFirst, isLast, prev
+// and next are derived).
+function Cursor() {}
+
+Cursor.prototype.toString = function() { return String(this.index) };
+Cursor.prototype.valueOf = function() { return this.index };
+
+Object.defineProperties(Cursor.prototype, {
+  length: { get: function() { return this.array ? this.array.length : 0 } },
+  isFirst: { get: function() { return this.index === 0 } },
+  isLast: { get: function() { return this.index === this.length - 1 } },
+  prev: { get: function() { return this.array && this.array[this.index - 1] } },
+  next: { get: function() { return this.array && this.array[this.index + 1] } },
+});
+
+// Returns the values of collection x (an array, array-like, Map, Set, other
+// iterable, or plain object) as an array, and their keys (for Maps and plain
+// objects; null otherwise).
+function collectionEntries(x) {
+  var values = [], keys = null, it, step;
+
+  if (nullish(x)) { return { values: values, keys: keys } }
+
+  if (x instanceof Map) {
+    keys = [];
+    x.forEach(function(v, k) { values.push(v); keys.push(k) });
+  } else if (
+    !Array.isArray(x) &&
+    typeof Symbol !== 'undefined' &&
+    typeof x[Symbol.iterator] === 'function'
+  ) {
+    it = x[Symbol.iterator]();
+    while (!(step = it.next()).done) { values.push(step.value) }
+  } else if (isPlainObject(x)) {
+    // (Checked after iterables, since some iterators pass for plain objects.)
+    keys = Object.keys(x);
+    values = keys.map(function(k) { return x[k] });
+  } else {
+    values = [].slice.call(x);
+  }
+
+  return { values: values, keys: keys };
+}
+
+// Returns the first node of n (a node or an array of nodes), if any.
+function firstNode(n) { return Array.isArray(n) ? n[0] || null : n }
+
+// Returns the last node in the document occupied by n and its anchored nodes
+// (recursively).
+function lastAnchoredNode(n) {
+  while (n.anchoredNodes && n.anchoredNodes.length) {
+    n = n.anchoredNodes[n.anchoredNodes.length - 1];
+  }
+
+  return n;
+}
+
+// Returns a boolean array marking the positions of xs that belong to one of its
+// longest strictly increasing subsequences. Negative values are never part of
+// it. Used to find the largest set of map nodes that can stay where they are.
+function longestIncreasingSubsequence(xs) {
+  var i, k, lo, hi, mid, tails = [], prev = [];
+  var mask = xs.map(function() { return false });
+
+  for (i = 0; i < xs.length; i++) {
+    if (xs[i] < 0) { continue }
+
+    // Binary search for the first tail not smaller than xs[i].
+    lo = 0;
+    hi = tails.length;
+
+    while (lo < hi) {
+      mid = (lo + hi) >> 1;
+      if (xs[tails[mid]] < xs[i]) { lo = mid + 1 } else { hi = mid }
+    }
+
+    prev[i] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = i;
+  }
+
+  for (k = tails.length ? tails[tails.length - 1] : -1; k !== -1; k = prev[k]) {
+    mask[k] = true;
+  }
+
+  return mask;
+}
+
+function mapAnchorBindingUpdate() {
+  var self = this, i, k, n, meta, metas, nFirst, nSep, nRef, keep;
+  var nAnchor = self.target, nEnd, parentEl = nAnchor.parentNode, updatedNodes;
+  var entries = collectionEntries(self.get()), dirty = false;
+  var newArray = entries.values, newKeys = entries.keys;
+  var lastValueMap, newMetas, rects;
+
+  // Initialize to empty arrays/maps if this is the first execution.
+  self.lastArray = self.lastArray || [];
+  self.lastNodes = self.lastNodes || [];
+  self.valueMap = self.valueMap || new Map();
+
+  reanchorNodes(nAnchor);
+
+  for (i = 0; i < Math.max(self.lastArray.length, newArray.length); i++) {
+    if (
+      self.lastArray[i] !== newArray[i] ||
+      (self.lastKeys || [])[i] !== (newKeys || [])[i]
+    ) {
+      dirty = true;
+      break;
+    }
+  }
+
+  if (!dirty) { return }
+
+  invalidateBoundDescendants(self.target);
+
+  // Nodes are inserted before whatever comes after the currently anchored
+  // nodes (recursively).
+  nEnd = lastAnchoredNode(nAnchor).nextSibling;
+
+  // valueMap maps keys to arrays of metas (one per occurrence of the key, in
+  // order). Metas from lastValueMap are consumed as they're reused, so
+  // whatever is left in it afterwards is gone from the array.
+  lastValueMap = self.valueMap;
+  self.valueMap = new Map();
+
+  newMetas = newArray.map(function(x, i) {
+    k = self.key ? self.key(x, i) : x;
+    metas = lastValueMap.get(k);
+    meta = (metas && metas.shift()) || { cursor: new Cursor(), lastIndex: -1 };
+
+    objAssign(meta.cursor, {
+      index: i,
+      key: newKeys ? newKeys[i] : i,
+      item: x,
+      array: newArray,
+    });
+
+    if (!self.valueMap.has(k)) { self.valueMap.set(k, []) }
+    self.valueMap.get(k).push(meta);
+
+    return meta;
+  });
+
+  // Record where reused elements are before anything moves.
+  rects = self.animateMoves && parentEl && !prefersReducedMotion() &&
+    recordRects(newMetas);
+
+  // Remove nodes associated to values no longer in the array.
+  lastValueMap.forEach(function(metas) {
+    metas.forEach(function(meta) {
+      arrayify(meta.n || []).forEach(function(n) { leaveNode(n, self) });
+    });
+  });
+
+  // Nodes whose previous indices are in increasing order can stay where they
+  // are; only the others need to be moved.
+  keep = longestIncreasingSubsequence(newMetas.map(function(meta) {
+    return meta.lastIndex;
+  }));
+
+  nRef = nEnd;
+
+  for (i = newMetas.length - 1; i >= 0; i--) {
+    meta = newMetas[i];
+
+    if (meta.lastIndex === -1) {
+      n = self.map(newArray[i], meta.cursor);
+
+      meta.n = !Array.isArray(n)
+        ? appendableNode(n)
+        : flat(n, 10).map(appendableNode).filter(Boolean);
+
+      arrayify(meta.n || []).forEach(function(n) { n.contextParent = nAnchor });
+    }
+
+    if (!keep[i] && meta.n) { insertBeforeWithAnchoredNodes(parentEl, meta.n, nRef) }
+
+    if (meta.lastIndex === -1 && parentEl) {
+      arrayify(meta.n || []).forEach(function(n) { enterNode(n, self) });
+    }
+
+    nRef = firstNode(meta.n) || nRef;
+    meta.lastIndex = i;
+  }
+
+  updatedNodes = newMetas.map(function(meta) { return meta.n });
+
+  // Remember updated array values and its associated nodes.
+  self.lastArray = newArray;
+  self.lastKeys = newKeys;
+  self.lastNodes = updatedNodes;
+  nAnchor.anchoredNodes = [];
+
+  for (i = 0; i < updatedNodes.length; i++) {
+    n = updatedNodes[i];
+    nFirst = firstNode(n);
+
+    // Create/move separators into place (items without nodes get none).
+    if (self.nSep && i > 0) {
+      nSep = self.nSepPool[i - 1];
+      if (!nSep) { nSep = self.nSep.cloneNode(true); self.nSepPool.push(nSep) }
+
+      if (!nFirst) { nSep.parentNode && nSep.parentNode.removeChild(nSep) }
+      else {
+        if (nSep.nextSibling !== nFirst) { parentEl.insertBefore(nSep, nFirst) }
+        nAnchor.anchoredNodes.push(nSep);
+      }
+    }
+
+    n && nAnchor.anchoredNodes.push(n);
+  }
+
+  if (self.nSep) {
+    // Remove unused separators from the document.
+    for (i = Math.max(0, updatedNodes.length - 1); i < self.nSepPool.length; i++) {
+      nSep = self.nSepPool[i];
+      nSep.parentNode && nSep.parentNode.removeChild(nSep);
+    }
+
+    // Truncate nSepPool (lets unused separators be garbage collected).
+    self.nSepPool.length = Math.max(0, updatedNodes.length - 1);
+  }
+
+  nAnchor.anchoredNodes = flat(nAnchor.anchoredNodes, 10);
+  if (parentEl) { self.entered = true }
+
+  rects && flipMoves(rects, self.animateMoves);
+}
+
+// FLIP move animations: reused map elements' positions are recorded before
+// the DOM is reordered (First), compared to their new positions afterwards
+// (Last), and moved back to where they were with a transform (Invert) which is
+// then animated away (Play).
+function recordRects(metas) {
+  var rects = new Map();
+
+  metas.forEach(function(meta) {
+    if (meta.lastIndex === -1) { return }
+
+    arrayify(meta.n || []).forEach(function(n) {
+      if (n.nodeType === 1) { rects.set(n, n.getBoundingClientRect()) }
+    });
+  });
+
+  return rects;
+}
+
+// opts may be true (defaults) or an object with:
+// duration: milliseconds (defaults to 200);
+// easing: CSS easing function (defaults to 'ease');
+// move: function(el, dx, dy) taking over animating el from its old position
+// (translated by dx, dy pixels) to its new one.
+function flipMoves(rects, opts) {
+  opts = isPlainObject(opts) ? opts : {};
+
+  rects.forEach(function(first, el) {
+    var last = el.getBoundingClientRect();
+    var dx = first.left - last.left, dy = first.top - last.top;
+
+    if (!dx && !dy) { return }
+
+    try { (opts.move || flipMove)(el, dx, dy, opts) }
+    catch (e) { reportError(e, { type: 'transition', node: el, key: 'animateMoves' }) }
+  });
+}
+
+function flipMove(el, dx, dy, opts) {
+  var duration = !nullish(opts.duration) ? opts.duration : 200;
+  var easing = opts.easing || 'ease';
+  var transform = 'translate(' + dx + 'px, ' + dy + 'px)';
+
+  if (typeof el.animate === 'function') {
+    el.animate([{ transform: transform }, { transform: 'none' }], {
+      duration: duration,
+      easing: easing,
+    });
+
+    return;
+  }
+
+  // Fall back to CSS transitions.
+  el.style.transition = 'none';
+  el.style.transform = transform;
+  el.getBoundingClientRect(); // Forces a reflow so the transform applies.
+  el.style.transition = 'transform ' + duration + 'ms ' + easing;
+  el.style.transform = '';
+
+  setTimeout(function() { el.style.transition = '' }, duration);
+}
+
+function prefersReducedMotion() {
+  var view = getDocument().defaultView;
+
+  return Boolean(
+    view && view.matchMedia &&
+    view.matchMedia('(prefers-reduced-motion: reduce)').matches
+  );
+}
+
+// d.groupMap(getFn, groupKeyFn, headerFn, itemFn, [opts]).
+// Like d.map, but array values are grouped by the keys groupKeyFn(x, i)
+// returns (in order of first appearance), each group preceded by the nodes
+// headerFn(groupKey, group, cursor) returns. group.items has the group's
+// current values. It's all rendered through a single map anchor whose array
+// has group objects followed by their values, so headers and items keep their
+// nodes as values move between groups. Cursors don't describe that array,
+// though: header cursors have the group's position among groups, and item
+// cursors the value's position in group.items (and its key in the original
+// collection). Supported opts are the same as d.map's (key is only applied to
+// values, not groups, and is passed their index in the original collection).
+function createGroupMapAnchor(getFn, groupKeyFn, headerFn, itemFn, opts) {
+  var groups = new Map(), places = [];
+
+  opts = objAssign({}, opts);
+
+  if (opts.key) {
+    opts.key = (function(key, x, i) {
+      return x instanceof Group ? x : key(x, places[i].sourceIndex);
+    }).bind(null, opts.key);
+  }
+
+  function place(rowCursor) { return places[rowCursor.index] }
+
+  return createMapAnchor(function() {
+    var entries = collectionEntries(getFn()), newGroups = new Map();
+    var itemPlaces = new Map(), groupArray = [], rows = [];
+
+    entries.values.forEach(function(x, i) {
+      var k = groupKeyFn(x, i), group = newGroups.get(k);
+
+      if (!group) {
+        group = groups.get(k) || new Group(k);
+        group.items = [];
+        newGroups.set(k, group);
+        itemPlaces.set(group, []);
+      }
+
+      itemPlaces.get(group).push({
+        index: group.items.length,
+        array: group.items,
+        key: entries.keys ? entries.keys[i] : i,
+        sourceIndex: i,
+      });
+
+      group.items.push(x);
+    });
+
+    // Groups which became empty are forgotten.
+    groups = newGroups;
+    places = [];
+
+    groups.forEach(function(group) {
+      places.push({ index: groupArray.length, array: groupArray, key: group.key });
+      places.push.apply(places, itemPlaces.get(group));
+      groupArray.push(group);
+      rows.push(group);
+      rows.push.apply(rows, group.items);
+    });
+
+    return rows;
+  }, function(x, rowCursor) {
+    var cursor = groupMapCursor(rowCursor, place);
+    return x instanceof Group ? headerFn(x.key, x, cursor) : itemFn(x, cursor);
+  }, opts);
+}
+
+// Returns a cursor reading its index, key and array from place(rowCursor), so
+// it stays current as the map anchor updates rowCursor.
+function groupMapCursor(rowCursor, place) {
+  var cursor = new Cursor();
+
+  ['index', 'key', 'array'].forEach(function(k) {
+    Object.defineProperty(cursor, k, {
+      get: function() { var p = place(rowCursor); return p && p[k] },
+    });
+  });
+
+  Object.defineProperty(cursor, 'item', {
+    get: function() { return rowCursor.item },
+  });
+
+  return cursor;
+}
+
+function Group(key) {
+  this.key = key;
+  this.items = [];
+}
+
+// d.virtualMap(getFn, rowFn, [opts]).
+// Like d.map, but only rows (nodes returned by rowFn) in or near the visible
+// part of the scroll container are rendered, between two spacer elements
+// standing in for the rest. Row nodes are recycled as the container scrolls:
+// instead of calling rowFn again, their cursor's index and item are updated,
+// so rows should read their array value from cursor.item. rowFn must return a
+// single node per row (e.g. an element). Supported opts:
+// itemHeight: row height in pixels, or function(x, i) returning it;
+// measure: true or function(el) returning row el's height in pixels, to
+// measure rows instead (itemHeight is then only an estimate for rows not
+// measured yet). Measured heights are cached by key;
+// key: function(x, i) returning the identity of array value x (defaults to x);
+// overscan: number of rows rendered beyond each side of the visible ones
+// (defaults to 3);
+// scrollContainer: element (or window), or function returning it, whose
+// scroll position determines the visible rows (defaults to the anchor's
+// parent).
+var defaultItemHeight = 20;
+
+function createVirtualMapAnchor(getFn, rowFn, opts) {
+  opts = opts || {};
+
+  return createBoundComment('virtual map anchor', {
+    get: getFn,
+    map: rowFn,
+    key: opts.key,
+    itemHeight: opts.itemHeight,
+    measure: opts.measure,
+    overscan: !nullish(opts.overscan) ? opts.overscan : 3,
+    scrollContainer: opts.scrollContainer,
+    heights: new Map(),
+    rows: [],
+    update: virtualMapAnchorBindingUpdate,
+    dispose: virtualMapAnchorBindingDispose,
+  });
+}
+
+// The scroll container usually outlives the anchor.
+function virtualMapAnchorBindingDispose() {
+  this.container && this.container.removeEventListener('scroll', this.scrollHandler);
+  this.heights.clear();
+  this.rows = [];
+}
+
+function virtualMapAnchorBindingUpdate() {
+  var self = this, nAnchor = self.target, parentEl = nAnchor.parentNode;
+  var array = collectionEntries(self.get()).values, offsets, range, i, row;
+  var measured, dirty = false, byIndex = new Map(), spare = [], newRows = [], nRef;
+  var container;
+
+  reanchorNodes(nAnchor);
+  if (!parentEl) { return }
+
+  if (!self.nTop) {
+    self.nTop = createSpacer(parentEl);
+    self.nBottom = createSpacer(parentEl);
+    parentEl.insertBefore(self.nTop, nAnchor.nextSibling);
+    parentEl.insertBefore(self.nBottom, self.nTop.nextSibling);
+    nAnchor.anchoredNodes = [self.nTop, self.nBottom];
+  }
+
+  // A scroll container not rendered yet is looked up again on later updates,
+  // measuring against parentEl meanwhile. Listened to directly rather than
+  // through listen(), which would leave listeners on e.g. window.
+  if (!self.container) {
+    container = self.scrollContainer ? resolve(self.scrollContainer) : parentEl;
+
+    if (container) {
+      self.container = container;
+      self.scrollHandler = function() { update(nAnchor) };
+      container.addEventListener('scroll', self.scrollHandler);
+    }
+  }
+
+  measured = self.measure && measureRows(self);
+  offsets = rowOffsets(self, array);
+  range = visibleRange(self, offsets, self.container || parentEl);
+
+  self.lastArray = self.lastArray || [];
+
+  for (i = 0; i < Math.max(array.length, self.lastArray.length); i++) {
+    if (array[i] !== self.lastArray[i]) { dirty = true; break }
+  }
+
+  // If neither the array, visible rows or their heights changed, do nothing
+  // else.
+  if (
+    !dirty && !measured && self.lastRange &&
+    range[0] === self.lastRange[0] && range[1] === self.lastRange[1]
+  ) {
+    return;
+  }
+
+  invalidateBoundDescendants(nAnchor);
+
+  // Rows still visible keep their index, rows no longer visible are recycled
+  // for newly visible ones.
+  self.rows.forEach(function(row) {
+    if (row.cursor.index >= range[0] && row.cursor.index < range[1]) {
+      byIndex.set(row.cursor.index, row);
+    } else {
+      spare.push(row);
+    }
+  });
+
+  for (i = range[0]; i < range[1]; i++) {
+    row = byIndex.get(i) || spare.pop() || { cursor: new Cursor() };
+    objAssign(row.cursor, { index: i, item: array[i], array: array });
+
+    if (!row.n) {
+      row.n = virtualMapRowNode(self.map(array[i], row.cursor), i);
+      row.n.contextParent = nAnchor;
+    }
+
+    newRows.push(row);
+  }
+
+  spare.forEach(function(row) { removeWithAnchoredNodes(row.n) });
+
+  nRef = self.nBottom;
+
+  for (i = newRows.length - 1; i >= 0; i--) {
+    row = newRows[i];
+    if (lastAnchoredNode(row.n).nextSibling !== nRef) {
+      insertBeforeWithAnchoredNodes(parentEl, row.n, nRef);
+    }
+    nRef = row.n;
+  }
+
+  self.nTop.style.height = offsets[range[0]] + 'px';
+  self.nBottom.style.height = (offsets[array.length] - offsets[range[1]]) + 'px';
+
+  // Remember updated array values, visible range and rows.
+  self.lastArray = array;
+  self.lastRange = range;
+  self.rows = newRows;
+
+  nAnchor.anchoredNodes = [self.nTop].concat(newRows.map(function(row) {
+    return row.n;
+  }), [self.nBottom]);
+
+  // Measure rows again once their bindings are up to date.
+  self.measure && update(nAnchor);
+}
+
+// Rows are measured and positioned one node each, so empty rows and fragments
+// aren't supported (unlike in d.map).
+function virtualMapRowNode(x, i) {
+  var n = !Array.isArray(x) && appendableNode(x);
+
+  if (!n) {
+    throw new TypeError(
+      'd.virtualMap row functions must return a single node (row ' + i + ')');
+  }
+
+  return n;
+}
+
+// Spacers match the rows they stand in for (e.g. table rows).
+function createSpacer(parentEl) {
+  var tagName = /^(table|tbody|thead|tfoot)$/i.test(parentEl.nodeName) ? 'tr'
+    : /^[ou]l$/i.test(parentEl.nodeName) ? 'li'
+    : 'div';
+
+  var el = getDocument().createElement(tagName);
+  el.setAttribute('aria-hidden', 'true');
+  return el;
+}
+
+function rowKey(self, x, i) { return self.key ? self.key(x, i) : x }
+
+// Caches heights of rendered rows. Returns true if any of them changed.
+function measureRows(self) {
+  var changed = false;
+
+  self.rows.forEach(function(row) {
+    var k = rowKey(self, row.cursor.item, row.cursor.index);
+    var h = typeof self.measure === 'function' ? self.measure(row.n)
+      : row.n.getBoundingClientRect ? row.n.getBoundingClientRect().height
+      : 0;
+
+    if (h && self.heights.get(k) !== h) {
+      self.heights.set(k, h);
+      changed = true;
+    }
+  });
+
+  return changed;
+}
+
+// Returns an array with the offsets of each row in array from the top of the
+// list (plus the list's total height as its last value).
+function rowOffsets(self, array) {
+  var i, h, offsets = [0];
+
+  for (i = 0; i < array.length; i++) {
+    h = self.measure ? self.heights.get(rowKey(self, array[i], i)) : null;
+
+    if (nullish(h)) {
+      h = typeof self.itemHeight === 'function'
+        ? self.itemHeight(array[i], i)
+        : self.itemHeight;
+    }
+
+    offsets.push(offsets[i] + (!nullish(h) ? h : defaultItemHeight));
+  }
+
+  return offsets;
+}
+
+// Returns [start, end) indices of the rows to render.
+function visibleRange(self, offsets, c) {
+  var length = offsets.length - 1;
+  var isWindow = c.window === c, scrollTop, viewport, listTop = 0, start, end;
+
+  scrollTop = (isWindow ? c.pageYOffset : c.scrollTop) || 0;
+  viewport = (isWindow ? c.innerHeight : c.clientHeight) || 0;
+
+  // Where the list starts in the container's scrolled contents.
+  if (self.nTop.getBoundingClientRect) {
+    listTop = self.nTop.getBoundingClientRect().top + scrollTop -
+      (isWindow ? 0 : c.getBoundingClientRect().top);
+  }
+
+  start = lastOffsetIndex(offsets, scrollTop - listTop);
+  end = lastOffsetIndex(offsets, scrollTop - listTop + viewport) + 1;
+
+  return [
+    Math.max(0, Math.min(start, length) - self.overscan),
+    Math.min(length, end + self.overscan),
+  ];
+}
+
+// Binary search for the last index of sorted offsets whose value is <= y.
+function lastOffsetIndex(offsets, y) {
+  var lo = 0, hi = offsets.length - 1, mid;
+
+  while (lo < hi) {
+    mid = (lo + hi + 1) >> 1;
+    if (offsets[mid] <= y) { lo = mid } else { hi = mid - 1 }
+  }
+
+  return lo;
+}
+
+function createTextNode(getFn) {
+  var n = getDocument().createTextNode('');
+
+  n.bindings = [new Binding({
+    get: getFn,
+    update: textNodeBindingUpdate,
+    target: n,
+  })];
+
+  ieNodes && ieNodes.push(n);
+  return n;
+}
+
+function textNodeBindingUpdate() {
+  var newValue = this.get();
+
+  // Convert nullish and boolean values to empty strings. Cast everything
+  // else to string.
+  if (nullish(newValue) || typeof newValue === 'boolean') { newValue = '' }
+  else { newValue = String(newValue) }
+
+  // If the value hasn't changed, do nothing.
+  if (newValue === this.lastValue) { return }
+
+  // Update node and remember updated value.
+  this.lastValue = this.target.textContent = newValue;
+}
+
+function createPortalNode(getFn) {
+  return createBoundComment('portal anchor', {
+    get: getFn,
+    update: portalAnchorBindingUpdate,
+  });
+}
+
+function portalAnchorBindingUpdate() {
+  var newValue = this.get();
+
+  // If the value hasn't changed, do nothing.
+  if (newValue === this.lastValue) { return }
+
+  invalidateBoundDescendants(this.target);
+  invalidateBoundDescendants(this.lastValue);
+
+  // Remove old node, keeping it in case it's shown again.
+  if (this.lastValue) {
+    this.lastValue.remove();
+    this.prevValue = this.lastValue;
+  }
+
+  // Insert new one. Wherever it ends up, its context comes from the anchor.
+  if (newValue) {
+    newValue.contextParent = this.target;
+    this.target.parentNode.insertBefore(newValue, this.target.nextSibling);
+  }
+
+  // Remember updated value.
+  this.lastValue = newValue;
+}
+
+// Context:
+// Nodes can have context key-values (n.context), which are visible to them
+// and their (logical) descendants. Nodes anchored to an anchor (e.g. nodes
+// shown by d.if or rendered by d.portal) have their anchor as their logical
+// parent (n.contextParent), wherever they are in the document.
+function fromContext(n, k) {
+  while (n) {
+    if (n.context && k in n.context) { return n.context[k] }
+    n = n.contextParent || n.parentNode;
+  }
+}
+
+// The node whose bindings are being evaluated (see updateNode), and the
+// contexts provided to children factory functions being called (see
+// provide). Both are used by readContext.
+var currentNode = null;
+var contextStack = [];
+
+// d.provide(key, value, children) or d.provide({ key: value... }, children).
+// Provides context key-values to children (a node, an array of nodes, or a
+// function returning those, which can then read the provided context while
+// rendering). Returns the children nodes.
+function provide(key, value, children) {
+  var ctx = key, ns, k;
+
+  if (arguments.length === 3) { ctx = {}; ctx[key] = value }
+  else { children = value }
+
+  if (typeof children === 'function') {
+    contextStack.push(ctx);
+    try { children = children() } finally { contextStack.pop() }
+  }
+
+  ns = flat(arrayify(children), 10).map(appendableNode).filter(Boolean);
+
+  ns.forEach(function(n) {
+    n.context = n.context || {};
+
+    // Keys provided by inner providers take precedence.
+    for (k in ctx) {
+      if (ctx.hasOwnProperty(k) && !(k in n.context)) { n.context[k] = ctx[k] }
+    }
+  });
+
+  return Array.isArray(children) ? ns : ns[0];
+}
+
+// JSX counterpart to provide: <d.Provider value={{ key: value }}>.
+function Provider(props) { return provide(props.value || {}, props.children) }
+
+// Returns the value of context key k: the one visible to the node whose
+// bindings are being evaluated or, when called while rendering children of
+// provide, the one provided to them.
+function readContext(k) {
+  var i;
+
+  if (currentNode) { return fromContext(currentNode, k) }
+
+  for (i = contextStack.length - 1; i >= 0; i--) {
+    if (k in contextStack[i]) { return contextStack[i][k] }
+  }
+}
+
+// Calls cb for each node with bindings in ns and their descendants, in
+// document order.
+function forEachNodeWithBindings(ns, cb) {
+  var stack = [].slice.call(ns).reverse(), n, i;
+
+  while (stack.length) {
+    n = stack.pop();
+    n.bindings && cb(n);
+
+    for (i = n.childNodes ? n.childNodes.length - 1 : -1; i >= 0; i--) {
+      stack.push(n.childNodes[i]);
+    }
+  }
+}
+
+// Registry of bound nodes attached to the document. Adding, removing and
+// looking up nodes are O(1) operations. Nodes are listed in document order
+// (see toArray), which is what updateSync iterates over.
+function BoundNodeRegistry(ns) {
+  this.nodes = new Set();
+  this.ordered = [];
+  this.dirty = new Set();
+  this.removed = false;
+
+  for (var i = 0; ns && i < ns.length; i++) { this.add(ns[i]) }
+}
+
+Object.defineProperty(BoundNodeRegistry.prototype, 'size', {
+  get: function() { return this.nodes.size },
+});
+
+BoundNodeRegistry.prototype.has = function(n) { return this.nodes.has(n) };
+
+// Returns false if n was already registered, in which case it's assumed to
+// have moved (e.g. reinserted by processMutations) and is ordered again.
+BoundNodeRegistry.prototype.add = function(n) {
+  this.dirty.add(n);
+
+  if (this.nodes.has(n)) { return false }
+
+  this.nodes.add(n);
+  return true;
+};
+
+// Returns false if n wasn't registered.
+BoundNodeRegistry.prototype.delete = function(n) {
+  if (!this.nodes.delete(n)) { return false }
+
+  this.dirty.delete(n);
+  this.removed = true;
+
+  return true;
+};
+
+// Returns registered nodes in document order. The array is cached until nodes
+// are added, moved or removed, so it must not be modified. Only nodes added or
+// moved since are sorted, then merged into the rest, so updates after small
+// changes don't sort all nodes again.
+BoundNodeRegistry.prototype.toArray = function() {
+  var self = this, kept, added = [], ordered = [], i = 0;
+
+  if (!self.dirty.size && !self.removed) { return self.ordered }
+
+  kept = self.ordered.filter(function(n) {
+    return self.nodes.has(n) && !self.dirty.has(n);
+  });
+
+  self.dirty.forEach(function(n) { added.push(n) });
+  added.sort(compareNodeOrder);
+
+  // Added nodes are sorted, so each one goes after the previous one.
+  added.forEach(function(n) {
+    var j = nodeInsertionIndex(kept, n, i);
+    [].push.apply(ordered, kept.slice(i, j));
+    ordered.push(n);
+    i = j;
+  });
+
+  [].push.apply(ordered, kept.slice(i));
+
+  self.ordered = ordered;
+  self.dirty = new Set();
+  self.removed = false;
+
+  return ordered;
+};
+
+function compareNodeOrder(a, b) {
+  if (a === b) { return 0 }
+  return a.compareDocumentPosition(b) & 4 /* FOLLOWING */ ? -1 : 1;
+}
+
+// Returns the index of the first node in ordered (from index lo on) that n
+// precedes, by binary search.
+function nodeInsertionIndex(ordered, n, lo) {
+  var hi = ordered.length, mid;
+
+  while (lo < hi) {
+    mid = (lo + hi) >> 1;
+    if (compareNodeOrder(n, ordered[mid]) < 0) { hi = mid }
+    else { lo = mid + 1 }
+  }
+
+  return lo;
+}
+
+BoundNodeRegistry.prototype.forEach = function(cb) {
+  this.toArray().forEach(function(n) { cb(n) });
+};
+
+function processMutations(muts, observer, di) {
+  di = di || {};
+  di.boundNodes = di.boundNodes || boundNodes;
+  di.updateSync = di.updateSync || updateSync;
+  di.console = di.console || console;
+
+  var i, j, mut, n, b;
+  var newNodes = [], newNodeSet = new Set(), orphanedNodes = [];
+
+  // Collect newNodes.
+  for (i = 0; i < muts.length; i++) {
+    mut = muts[i];
+    invalidateBoundDescendants(mut.target);
+
+    for (j = 0; j < mut.addedNodes.length; j++) {
+      newNodes.push(mut.addedNodes[j]);
+      newNodeSet.add(mut.addedNodes[j]);
+    }
+  }
+
+  // Collect orphanedNodes.
+  for (i = 0; i < muts.length; i++) {
+    mut = muts[i];
+
+    for (j = 0; j < mut.removedNodes.length; j++) {
+      n = mut.removedNodes[j];
+      if (!newNodeSet.has(n)) { orphanedNodes.push(n) }
+    }
+  }
+
+  // Recursively remove boundNodes collected in the orphanedNodes array.
+  forEachNodeWithBindings(orphanedNodes, function(n) {
+    if (!di.boundNodes.delete(n)) { return }
+
+    invalidateBoundDescendants(n);
+
+    for (i = 0; i < n.bindings.length; i++) {
+      b = n.bindings[i];
+
+      if (onDetachRegExp.test(b.key)) {
+        try { b.handler(n) }
+        catch (e) { reportError(e, { type: 'lifecycle', node: n, key: b.key }, di) }
+      }
+    }
+  });
+
+  // Orphaned nodes no longer retained by any anchor are gone for good.
+  if (dispose.auto) {
+    orphanedNodes.forEach(function(n) {
+      if (!isAttached(n) && !isRetained(n)) { dispose(n) }
+    });
+  }
+
+  // Recursively add boundNodes collected in the newNodes array.
+  forEachNodeWithBindings(newNodes, function(n) {
+    if (!di.boundNodes.add(n)) { return }
+
+    invalidateBoundDescendants(n);
+
+    for (i = 0; i < n.bindings.length; i++) {
+      b = n.bindings[i];
+
+      if (onAttachRegExp.test(b.key)) {
+        try { b.handler(n) }
+        catch (e) { reportError(e, { type: 'lifecycle', node: n, key: b.key }, di) }
+      }
+    }
+  });
+
+  di.updateSync(null, di);
+}
+
+// Disposal:
+// d.dispose(n) releases everything held by n and its descendants, anchored
+// nodes, and nodes cached by its anchors (e.g. hidden d.if branches): event
+// listeners added by d.el (see listen), bindings (whose dispose method, if
+// any, is called), map caches and separators. Disposed nodes are inert: they
+// can't be reattached to the document meaningfully.
+// When dispose.auto is true, nodes detached from the document are disposed
+// automatically, unless they're reattached in the same batch of mutations or
+// still retained by their anchor (for reuse).
+function dispose(n) {
+  var ns = new Set(), stack = [n];
+
+  // Collect nodes first, since bindings are needed to find cached ones.
+  while (stack.length) {
+    n = stack.pop();
+    if (ns.has(n)) { continue }
+
+    ns.add(n);
+    [].push.apply(stack, [].slice.call(n.childNodes || []));
+    ownedNodes(n).forEach(function(n) { stack.push(n) });
+  }
+
+  ns.forEach(function(n) {
+    invalidateBoundDescendants(n);
+    disposeNode(n);
+  });
+
+  // ieNodes is exported, so it's updated in place.
+  if (ieNodes) {
+    n = ieNodes.filter(function(n) { return !ns.has(n) });
+    ieNodes.length = 0;
+    [].push.apply(ieNodes, n);
+  }
+}
+
+function disposeNode(n) {
+  (n.listeners || []).forEach(function(l) {
+    n.removeEventListener(l.evName, l.fn);
+  });
+
+  (n.bindings || []).forEach(function(b) {
+    b.dispose && b.dispose();
+    b.setHandler = null;
+    b.valueMap && b.valueMap.clear();
+    b.branches && b.branches.clear();
+    if (b.nSepPool) { b.nSepPool.length = 0 }
+  });
+
+  boundNodes.delete(n);
+
+  n.listeners = n.bindings = n.anchoredNodes = null;
+  n.contextParent = n.context = null;
+}
+
+dispose.auto = false;
+
+// Returns the nodes anchor n shows or keeps for later (in no particular
+// order), e.g. a portal's previous node (which may be shown again), an error
+// boundary's children (shown again on retry) or an async anchor's pending
+// nodes (shown again on each run). Only the node caches of the anchors below
+// are walked: other values bindings hold (e.g. b.lastValue of a custom
+// binding) may be the application's own nodes.
+function ownedNodes(n) {
+  var ns = [].concat(n.anchoredNodes || []);
+
+  (n.nodeType === 8 && n.bindings || []).forEach(function(b) {
+    ns.push(bindingOwnedNodes(b));
+  });
+
+  return flat(ns, 10).filter(isNode);
+}
+
+function bindingOwnedNodes(b) {
+  var ns = [];
+
+  switch (b.update) {
+    case ifAnchorBindingUpdate:
+      return [b.thenNodes, b.elseNodes];
+
+    case switchAnchorBindingUpdate:
+      b.branches.forEach(function(x) { ns.push(x) });
+      return ns;
+
+    case mapAnchorBindingUpdate:
+      (b.valueMap || []).forEach(function(metas) {
+        metas.forEach(function(meta) { ns.push(meta.n) });
+      });
+
+      return ns.concat(b.nSepPool);
+
+    case virtualMapAnchorBindingUpdate:
+      b.rows.forEach(function(row) { ns.push(row.n) });
+      return ns.concat([b.nTop, b.nBottom]);
+
+    case portalAnchorBindingUpdate:
+      return [b.lastValue, b.prevValue];
+
+    case errorBoundaryBindingUpdate:
+      return [b.children, b.nodes];
+
+    case asyncAnchorBindingUpdate:
+      return [b.pending];
+  }
+
+  return ns;
+}
+
+function isAttached(n) {
+  var doc = getDocument();
+  return Boolean(doc.documentElement && doc.documentElement.contains(n));
+}
+
+function isRetained(n) {
+  return Boolean(n.contextParent) && ownedNodes(n.contextParent).indexOf(n) !== -1;
+}
+
+var observer = typeof MutationObserver !== 'undefined' &&
+  new MutationObserver(processMutations);
+
+observer && observer.observe(document, { childList: true, subtree: true });
+
+function childMacro(fn) {
+  try {
+    var ret = fn();
+
+    if (nullish(ret) || isNode(ret) || Array.isArray(ret)) {
+      return ret;
+    }
+  } catch(err) {}
+
+  return createTextNode(fn);
+}
+
+function resolve(x) { return typeof x === 'function' ? x() : x }
+
+// Schedules an update for the next animation frame. When rootNode is supplied,
+// only bindings under it are reevaluated (see updateSync), unless a full
+// update is also scheduled for the same frame. Updates are queued separately
+// for each di (e.g. each bound node registry).
+function update(rootNode, di) {
+  var queued, p = typeof Promise !== 'undefined' && new Promise(function(cb) {
+    update.promiseCallbacks.push(cb);
+  });
+
+  di = di || null;
+  queued = update.queue.get(di);
+
+  if (!queued) {
+    queued = { full: false, roots: [] };
+    update.queue.set(di, queued);
+  }
+
+  if (!rootNode) { queued.full = true }
+  else if (queued.roots.indexOf(rootNode) === -1) { queued.roots.push(rootNode) }
+
+  if (update.frame) { return p }
+
+  update.frame = nextFrame(function() {
+    var i, queue = update.queue;
+
+    update.frame = null;
+    update.queue = new Map();
+
+    queue.forEach(function(queued, di) {
+      (queued.full ? [null] : queued.roots).forEach(function(rootNode) {
+        updateSync(rootNode, di);
+      });
+    });
+
+    for (i = 0; i < update.promiseCallbacks.length; i++) {
+      try { update.promiseCallbacks[i]() }
+      catch (e) { reportError(e, { type: 'update' }) }
+    }
+
+    update.promiseCallbacks.length = 0;
+  });
+
+  return p;
+}
+
+update.promiseCallbacks = [];
+update.queue = new Map();
+
+// Maps scoped update roots to their bound descendants (in document order), so
+// scoped updates don't have to go through all boundNodes.
+var boundDescendants = new WeakMap();
+
+// Forgets the bound descendants of n and its ancestors (both in the document
+// and logical ones, see contextParent), whenever bound nodes are inserted or
+// removed under n (e.g. by an anchor or see processMutations). Other roots
+// keep theirs.
+function invalidateBoundDescendants(n) {
+  var stack = [n], visited = new Set();
+
+  while (stack.length) {
+    n = stack.pop();
+    if (!n || visited.has(n)) { continue }
+
+    visited.add(n);
+    boundDescendants.delete(n);
+    stack.push(n.parentNode, n.contextParent);
+  }
+}
+
+// Returns n followed by its anchored nodes (recursively).
+function withAnchoredNodes(n) {
+  return [n].concat(flatMap(n.anchoredNodes || [], withAnchoredNodes));
+}
+
+function getBoundDescendants(rootNode) {
+  var ns = boundDescendants.get(rootNode);
+  if (ns) { return ns }
+
+  ns = [];
+  forEachNodeWithBindings(withAnchoredNodes(rootNode), function(n) { ns.push(n) });
+  boundDescendants.set(rootNode, ns);
+
+  return ns;
+}
+
+// Reevaluates bindings from all boundNodes or, when rootNode is supplied, only
+// from rootNode, its descendants and its anchored nodes (and their
+// descendants). The legacy updateSync(di) signature is also supported.
+function updateSync(rootNode, di) {
+  if (!di && rootNode && !isNode(rootNode)) { di = rootNode; rootNode = null }
+
+  di = di || {};
+  di.boundNodes = di.boundNodes || boundNodes;
+  di.updateNode = di.updateNode || updateNode;
+  di.evListeners = di.evListeners || evListeners;
+  di.console = di.console || console;
+
+  var i, visited;
+  var ns = rootNode ? getBoundDescendants(rootNode) : di.boundNodes.toArray();
+
+  for (i = 0; i < di.evListeners.beforeUpdate.length; i++) {
+    try { di.evListeners.beforeUpdate[i](rootNode) }
+    catch (e) { reportError(e, { type: 'listener', node: rootNode, key: 'beforeUpdate' }, di) }
+  }
+
+  for (i = 0; i < ns.length; i++) {
+    di.updateNode(ns[i], di);
+
+    // Anchors under rootNode may have inserted new bound nodes, in which case
+    // we start over with the ones not updated yet.
+    if (rootNode && !boundDescendants.has(rootNode)) {
+      visited = visited || new Set();
+      ns.slice(0, i + 1).forEach(function(n) { visited.add(n) });
+
+      ns = getBoundDescendants(rootNode).filter(function(n) {
+        return !visited.has(n);
+      });
+
+      i = -1;
+    }
+  }
+
+  for (i = 0; i < di.evListeners.update.length; i++) {
+    try { di.evListeners.update[i](rootNode) }
+    catch (e) { reportError(e, { type: 'listener', node: rootNode, key: 'update' }, di) }
+  }
+}
+
+function updateNode(n, di) {
+  di = di || {};
+
+  var i, b, boundary, prevNode = currentNode;
+
+  // n.parentNode is a workaround for IE11's Node#contains not working on
+  // non-Element nodes.
+  if (!document.body || !document.body.contains(n.parentNode)) { return }
+
+  // Bindings may update or render other nodes, so the previous current node is
+  // restored afterwards.
+  currentNode = n;
+
+  try {
+    for (i = 0; i < n.bindings.length; i++) {
+      b = n.bindings[i];
+
+      try {
+        b.update && b.update();
+
+        if (b.error) {
+          if (--b.error.count <= 0) { clearError(b.error) }
+          b.error = null;
+        }
+      } catch (e) {
+        boundary = findErrorBoundary(n);
+        if (!boundary) { handleBindingError(e, b, di); continue }
+
+        // n is gone along with the boundary's children, so we're done with it.
+        emitError(e, objAssign(bindingErrorInfo(b), { boundary: boundary.target }), di);
+        catchError(boundary, e);
+        break;
+      }
+    }
+  } finally {
+    currentNode = prevNode;
+  }
+}
+
+var errors = {};
+
+// Error reporting:
+// Errors thrown by bindings, lifecycle handlers (onAttach/onDetach), event
+// handlers, update listeners/callbacks, transition hooks, route guards and
+// form validators are reported to d.on('error', fn) listeners as fn(err, info),
+// where info has:
+// type: 'binding', 'lifecycle', 'event', 'listener', 'update', 'transition',
+// 'router', 'validation' or 'hydration';
+// node and key: the node and binding/event key involved (if any);
+// binding: the Binding involved (if any);
+// componentPath: names of the components the node was rendered by, outermost
+// first.
+// Without any listeners, errors are logged to the console instead.
+function emitError(e, info, di) {
+  di = di || {};
+  di.evListeners = di.evListeners || evListeners;
+  di.console = di.console || console;
+
+  var i, listeners = di.evListeners.error;
+
+  info = objAssign({ componentPath: info.node ? componentPath(info.node) : [] }, info);
+
+  for (i = 0; i < listeners.length; i++) {
+    try { listeners[i](e, info) } catch (e2) { di.console.error(e2) }
+  }
+
+  return listeners.length > 0;
+}
+
+function reportError(e, info, di) {
+  di = di || {};
+  di.console = di.console || console;
+
+  if (!emitError(e, info, di)) { di.console.error(e) }
+}
+
+function bindingErrorInfo(binding) {
+  return { type: 'binding', node: binding.target, key: binding.key, binding: binding };
+}
+
+// Binding errors are only reported when a binding starts failing, not on every
+// update it keeps failing. Without any 'error' event listeners, each distinct
+// error is logged only once (until it stops happening).
+function handleBindingError(e, binding, di) {
+  di.console = di.console || console;
+  di.evListeners = di.evListeners || evListeners;
+
+  var eDesc = e.toString(), isNew = !binding.error;
+
+  var eEntry = errors[eDesc] = errors[eDesc] || {
+    firstInstance: e,
+    count: 0,
+    bindings: [],
+  };
+
+  if (eEntry.bindings.indexOf(binding) === -1) {
+    eEntry.bindings.push(binding);
+  }
+
+  binding.error = eEntry;
+
+  if (di.evListeners.error.length) {
+    ++eEntry.count;
+    isNew && emitError(e, bindingErrorInfo(binding), di);
+    return;
+  }
+
+  if (++eEntry.count === 1) {
+    di.console.error(e);
+    di.console.error('in', binding);
+  }
+}
+
+function clearError(e) { delete errors[e.toString()] }
+
+var evListeners = { beforeUpdate: [], update: [], error: [] };
+
+function addEventListener(evName, fn) { evListeners[evName].push(fn) }
+
+function removeEventListener(evName, fn) {
+  var i = evListeners[evName].indexOf(fn);
+  if (i !== -1) { evListeners[evName].splice(i, 1) }
+}
+
+// Server-side rendering:
+// When there's no global document (e.g. when prerendering pages in Node),
+// getDocument returns serverDocument, a minimal DOM implementation supporting
+// only what Dominant itself needs to build trees and render them to strings.
+var htmlNs = 'http://www.w3.org/1999/xhtml';
+
+var voidElements = [
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+  'param', 'source', 'track', 'wbr',
+];
+
+// Defines non-enumerable (but writable) properties, so that only props set by
+// createElement are enumerable on server elements (see serverAttributes).
+function hideProps(x, props) {
+  var k;
+
+  for (k in props) {
+    if (!props.hasOwnProperty(k)) { continue }
+
+    Object.defineProperty(x, k, {
+      configurable: true,
+      writable: true,
+      value: props[k],
+    });
+  }
+}
+
+function ServerNode(nodeType, nodeName) {
+  hideProps(this, {
+    nodeType: nodeType,
+    nodeName: nodeName,
+    parentNode: null,
+    childNodes: [],
+  });
+}
+
+Object.defineProperties(ServerNode.prototype, {
+  firstChild: { get: function() { return this.childNodes[0] || null } },
+
+  lastChild: {
+    get: function() { return this.childNodes[this.childNodes.length - 1] || null },
+  },
+
+  nextSibling: {
+    get: function() {
+      var siblings = this.parentNode && this.parentNode.childNodes;
+      return (siblings && siblings[siblings.indexOf(this) + 1]) || null;
+    },
+  },
+
+  previousSibling: {
+    get: function() {
+      var siblings = this.parentNode && this.parentNode.childNodes;
+      return (siblings && siblings[siblings.indexOf(this) - 1]) || null;
+    },
+  },
+
+  textContent: {
+    get: function() {
+      return this.childNodes.map(function(n) { return n.textContent }).join('');
+    },
+
+    set: function(x) {
+      while (this.childNodes.length) { this.removeChild(this.childNodes[0]) }
+
+      if (!nullish(x) && x !== '') {
+        this.appendChild(serverDocument.createTextNode(x));
+      }
+    },
+  },
+});
+
+ServerNode.prototype.insertBefore = function(n, nRef) {
+  var i;
+
+  // Fragments are emptied into the parent node.
+  if (n.nodeType === 11) {
+    while (n.childNodes.length) { this.insertBefore(n.childNodes[0], nRef) }
+    return n;
+  }
+
+  n.parentNode && n.parentNode.removeChild(n);
+
+  i = nRef ? this.childNodes.indexOf(nRef) : -1;
+  this.childNodes.splice(i !== -1 ? i : this.childNodes.length, 0, n);
+  n.parentNode = this;
+
+  return n;
+};
+
+ServerNode.prototype.appendChild = function(n) {
+  return this.insertBefore(n, null);
+};
+
+ServerNode.prototype.removeChild = function(n) {
+  var i = this.childNodes.indexOf(n);
+  if (i === -1) { throw new Error('Node is not a child of this node') }
+
+  this.childNodes.splice(i, 1);
+  n.parentNode = null;
+
+  return n;
+};
+
+ServerNode.prototype.remove = function() {
+  this.parentNode && this.parentNode.removeChild(this);
+};
+
+ServerNode.prototype.contains = function(n) {
+  while (n) {
+    if (n === this) { return true }
+    n = n.parentNode;
+  }
+
+  return false;
+};
+
+ServerNode.prototype.cloneNode = function(deep) {
+  var n = this.cloneShallow(), i;
+
+  if (deep) {
+    for (i = 0; i < this.childNodes.length; i++) {
+      n.appendChild(this.childNodes[i].cloneNode(true));
+    }
+  }
+
+  return n;
+};
+
+// Event listeners are never called on the server.
+ServerNode.prototype.addEventListener = function() {};
+ServerNode.prototype.removeEventListener = function() {};
+
+function ServerCharacterData(nodeType, nodeName, data) {
+  ServerNode.call(this, nodeType, nodeName);
+  hideProps(this, { data: String(data) });
+}
+
+ServerCharacterData.prototype = Object.create(ServerNode.prototype);
+
+Object.defineProperty(ServerCharacterData.prototype, 'textContent', {
+  get: function() { return this.data },
+  set: function(x) { this.data = !nullish(x) ? String(x) : '' },
+});
+
+ServerCharacterData.prototype.cloneShallow = function() {
+  var n = new ServerCharacterData(this.nodeType, this.nodeName, this.data);
+  n.raw = this.raw;
+  return n;
+};
+
+function ServerFragment() { ServerNode.call(this, 11, '#document-fragment') }
+
+ServerFragment.prototype = Object.create(ServerNode.prototype);
+ServerFragment.prototype.cloneShallow = function() { return new ServerFragment() };
+
+function ServerClassList() { this.classes = [] }
+
+ServerClassList.prototype.add = function(x) {
+  if (this.classes.indexOf(x) === -1) { this.classes.push(x) }
+};
+
+ServerClassList.prototype.remove = function(x) {
+  var i = this.classes.indexOf(x);
+  if (i !== -1) { this.classes.splice(i, 1) }
+};
+
+ServerClassList.prototype.contains = function(x) {
+  return this.classes.indexOf(x) !== -1;
+};
+
+ServerClassList.prototype.toggle = function(x, force) {
+  if (force === undefined) { force = !this.contains(x) }
+  force ? this.add(x) : this.remove(x);
+  return force;
+};
+
+ServerClassList.prototype.toString = function() { return this.classes.join(' ') };
+
+// Style properties are stored as camelCased own properties (e.g.
+// style.textAlign), just like CSSStyleDeclaration exposes them.
+function ServerStyle() {}
+
+function camelCase(x) {
+  return x.replace(/-([a-z])/g, function(m, c) { return c.toUpperCase() });
+}
+
+function kebabCase(x) {
+  return x.replace(/[A-Z]/g, function(c) { return '-' + c.toLowerCase() });
+}
+
+Object.defineProperty(ServerStyle.prototype, 'cssText', {
+  get: function() {
+    var k, decls = [];
+
+    for (k in this) {
+      if (!this.hasOwnProperty(k) || nullish(this[k]) || this[k] === '') {
+        continue;
+      }
+
+      decls.push(kebabCase(k) + ': ' + this[k] + ';');
+    }
+
+    return decls.join(' ');
+  },
+
+  set: function(x) {
+    var self = this, k;
+
+    for (k in self) { self.hasOwnProperty(k) && delete self[k] }
+
+    String(x || '').split(';').forEach(function(decl) {
+      var i = decl.indexOf(':');
+      if (i === -1) { return }
+
+      self[camelCase(decl.slice(0, i).trim())] = decl.slice(i + 1).trim();
+    });
+  },
+});
+
+ServerStyle.prototype.getPropertyValue = function(k) {
+  var x = this[camelCase(k)];
+  return !nullish(x) ? String(x) : '';
+};
+
+ServerStyle.prototype.setProperty = function(k, v) { this[camelCase(k)] = v };
+ServerStyle.prototype.removeProperty = function(k) { delete this[camelCase(k)] };
+
+function ServerElement(namespaceURI, localName) {
+  ServerNode.call(this, 1, namespaceURI === htmlNs
+    ? localName.toUpperCase()
+    : localName);
+
+  hideProps(this, {
+    namespaceURI: namespaceURI,
+    localName: localName,
+    tagName: this.nodeName,
+    attrs: {},
+    classList: new ServerClassList(),
+    styleDecl: new ServerStyle(),
+  });
+}
+
+ServerElement.prototype = Object.create(ServerNode.prototype);
+
+Object.defineProperties(ServerElement.prototype, {
+  className: {
+    get: function() { return this.classList.toString() },
+
+    set: function(x) {
+      this.classList.classes = normalizeClasses(x);
+    },
+  },
+
+  style: {
+    get: function() { return this.styleDecl },
+    set: function(x) { this.styleDecl.cssText = x },
+  },
+
+  // Raw HTML is kept as a single child node serialized verbatim.
+  innerHTML: {
+    get: function() { return this.childNodes.map(serializeNode).join('') },
+
+    set: function(x) {
+      this.textContent = '';
+
+      if (!nullish(x) && x !== '') {
+        this.appendChild(serverDocument.createTextNode(x)).raw = true;
+      }
+    },
+  },
+});
+
+ServerElement.prototype.setAttribute = function(k, v) {
+  if (k === 'class') { this.className = v; return }
+  if (k === 'style') { this.style = v; return }
+
+  this.attrs[k] = String(v);
+};
+
+ServerElement.prototype.getAttribute = function(k) {
+  if (k === 'class') { return this.className || null }
+  if (k === 'style') { return this.style.cssText || null }
+
+  return this.attrs.hasOwnProperty(k) ? this.attrs[k] : null;
+};
+
+ServerElement.prototype.hasAttribute = function(k) {
+  return this.getAttribute(k) !== null;
+};
+
+ServerElement.prototype.removeAttribute = function(k) {
+  if (k === 'class') { this.className = ''; return }
+  if (k === 'style') { this.style = ''; return }
+
+  delete this.attrs[k];
+};
+
+ServerElement.prototype.cloneShallow = function() {
+  var n = new ServerElement(this.namespaceURI, this.localName), k;
+
+  // Like real DOM nodes, only attribute-like (primitive) props are cloned.
+  for (k in this) {
+    if (!this.hasOwnProperty(k) || !isPrimitive(this[k])) { continue }
+    n[k] = this[k];
+  }
+
+  objAssign(n.attrs, this.attrs);
+  objAssign(n.style, this.style);
+  n.className = this.className;
+
+  return n;
+};
+
+var serverDocument = {
+  createElement: function(tagName) {
+    return new ServerElement(htmlNs, tagName.toLowerCase());
+  },
+
+  createElementNS: function(ns, tagName) { return new ServerElement(ns, tagName) },
+  createTextNode: function(x) { return new ServerCharacterData(3, '#text', x) },
+  createComment: function(x) { return new ServerCharacterData(8, '#comment', x) },
+  createDocumentFragment: function() { return new ServerFragment() },
+};
+
+function escapeHtml(x) {
+  return String(x)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// HTML element properties reflecting attributes, by lowercase name (see
+// serverAttributes).
+var reflectedProps = [
+  'accept', 'accessKey', 'action', 'allow', 'alt', 'async', 'autocomplete',
+  'autofocus', 'autoplay', 'charset', 'checked', 'cite', 'cols', 'colSpan',
+  'content', 'contentEditable', 'controls', 'coords', 'crossOrigin', 'dateTime',
+  'default', 'defer', 'dir', 'disabled', 'download', 'draggable', 'enctype',
+  'enterKeyHint', 'headers', 'height', 'hidden', 'high', 'href', 'hreflang',
+  'htmlFor', 'httpEquiv', 'id', 'inputMode', 'integrity', 'isMap', 'kind',
+  'label', 'lang', 'loading', 'loop', 'low', 'max', 'maxLength', 'media',
+  'method', 'min', 'minLength', 'multiple', 'muted', 'name', 'noValidate',
+  'open', 'optimum', 'pattern', 'placeholder', 'poster', 'preload', 'readOnly',
+  'referrerPolicy', 'rel', 'required', 'reversed', 'role', 'rows', 'rowSpan',
+  'sandbox', 'scope', 'selected', 'shape', 'size', 'sizes', 'slot', 'span',
+  'spellcheck', 'src', 'srcdoc', 'srclang', 'srcset', 'start', 'step',
+  'tabIndex', 'target', 'title', 'translate', 'type', 'useMap', 'value',
+  'width', 'wrap',
+].reduce(function(props, k) {
+  props[k.toLowerCase()] = k === 'htmlFor' ? 'for'
+    : k === 'httpEquiv' ? 'http-equiv'
+    : k.toLowerCase();
+
+  return props;
+}, {});
+
+// Comment text can't end comments early (or start with '>' or '->', which
+// would end them right away), so dashes are spaced apart.
+function escapeComment(x) {
+  return String(x).replace(/-(?=-)/g, '- ').replace(/^-?>/, ' $&');
+}
+
+// Returns the [name, value] attribute pairs of a real DOM or server element.
+// Server elements have their (enumerable) DOM properties set by createElement
+// converted to attributes, with boolean values mapped to the presence or
+// absence of the attribute. Like on real elements, other props (e.g. expandos
+// and non-primitive values such as bindings or models) aren't attributes.
+function serverAttributes(el) {
+  var attrs = {}, k, v, name;
+
+  if (!(el instanceof ServerElement)) {
+    return [].map.call(el.attributes, function(x) { return [x.name, x.value] });
+  }
+
+  if (el.className) { attrs.class = el.className }
+  if (el.style.cssText) { attrs.style = el.style.cssText }
+  objAssign(attrs, el.attrs);
+
+  // SVG element props are always managed as attributes (see createElement).
+  for (k in el.namespaceURI === htmlNs ? el : {}) {
+    if (!el.hasOwnProperty(k)) { continue }
+
+    v = el[k];
+    name = reflectedProps[k.toLowerCase()];
+    if (!name) { continue }
+
+    // Textarea values are serialized as text content instead.
+    if (name === 'value' && el.localName === 'textarea') { continue }
+
+    if (v === true) { attrs[name] = '' }
+    else if (v === false || nullish(v)) { delete attrs[name] }
+    else if (isPrimitive(v)) { attrs[name] = String(v) }
+  }
+
+  return Object.keys(attrs).map(function(k) { return [k, attrs[k]] });
+}
+
+function serializeNode(n) {
+  var html, tagName;
+
+  switch (n.nodeType) {
+    case 1:
+      tagName = n.namespaceURI === htmlNs ? n.localName.toLowerCase() : n.localName;
+
+      html = '<' + tagName + serverAttributes(n).map(function(x) {
+        return ' ' + x[0] + '="' + escapeHtml(x[1]) + '"';
+      }).join('') + '>';
+
+      if (n.namespaceURI === htmlNs && voidElements.indexOf(tagName) !== -1) {
+        return html;
       }
+
+      html += n instanceof ServerElement &&
+        tagName === 'textarea' && !nullish(n.value)
+        ? escapeHtml(n.value)
+        : [].map.call(n.childNodes, serializeNode).join('');
+
+      return html + '</' + tagName + '>';
+
+    case 3: return n.raw ? n.data : escapeHtml(n.textContent);
+    case 8: return '<!--' + escapeComment(n.textContent) + '-->';
+    case 11: return [].map.call(n.childNodes, serializeNode).join('');
+    default: return '';
+  }
+}
+
+// Evaluates bindings from n and its descendants once, in document order.
+// Anchor bindings insert their anchored nodes as next siblings, so reading
+// childNodes.length on every iteration makes sure those get evaluated too.
+function renderBindings(n) {
+  var i, b, prevNode = currentNode;
+
+  currentNode = n;
+
+  try {
+    for (i = 0; n.bindings && i < n.bindings.length; i++) {
+      b = n.bindings[i];
+
+      try { b.update && b.update() }
+      catch (e) { handleBindingError(e, b, {}) }
+    }
+  } finally {
+    currentNode = prevNode;
+  }
+
+  for (i = 0; i < n.childNodes.length; i++) { renderBindings(n.childNodes[i]) }
+}
+
+// Also evaluates and serializes n's anchored nodes (recursively), since those
+// are what anchor comments (if/map anchors) stand for.
+function renderWithAnchoredNodes(n) {
+  var i, html;
+
+  renderBindings(n);
+  html = serializeNode(n);
+
+  for (i = 0; n.anchoredNodes && i < n.anchoredNodes.length; i++) {
+    html += renderWithAnchoredNodes(n.anchoredNodes[i]);
+  }
+
+  return html;
+}
+
+function renderToString(n) {
+  n = appendableNode(n);
+  if (!n) { return '' }
+
+  // Anchors need a parent node to insert their anchored nodes into.
+  if (!n.parentNode) { getDocument().createDocumentFragment().appendChild(n) }
+
+  return renderWithAnchoredNodes(n);
+}
+
+// Hydration:
+// Anchor binding keys holding (arrays of) nodes. When hydrating, nodes
+// referenced by these keys are replaced with the matching server-rendered ones.
+var anchorNodeKeys = [
+  'thenNodes', 'elseNodes', 'lastValue', 'lastNodes', 'nSepPool',
+  'nTop', 'nBottom', 'container',
+];
+
+var wsOnlyRegExp = /^\s*$/;
+
+function describeNode(n) {
+  switch (n.nodeType) {
+    case 1: return n.localName.toLowerCase() + (n.id ? '#' + n.id : '');
+    case 3: return '#text';
+    case 8: return '<!--' + n.textContent + '-->';
+    default: return n.nodeName;
+  }
+}
+
+function Hydration(di) {
+  this.di = di;
+  this.nodeMap = new Map();
+  this.paths = new Map();
+  this.hydratedNodes = [];
+  this.mismatches = [];
+}
+
+Hydration.prototype.pathOf = function(n, parentPath) {
+  return this.paths.get(n) ||
+    (parentPath ? parentPath + ' > ' : '') + describeNode(n);
+};
+
+Hydration.prototype.reportMismatch = function(path, nFresh, nExisting) {
+  var e = new Error(
+    'Hydration mismatch at ' + path + ': expected ' +
+    (nFresh ? describeNode(nFresh) : 'no node') + ', found ' +
+    (nExisting ? describeNode(nExisting) : 'no node'));
+
+  this.mismatches.push(e);
+  reportError(e, { type: 'hydration', node: nExisting || null }, this.di);
+};
+
+// Evaluates anchor and text node bindings of fresh (client-side) nodes, since
+// those determine which nodes (and text) the server must have rendered.
+// Anchored nodes are labelled with the anchor's path for mismatch reports.
+Hydration.prototype.evaluate = function(n, path) {
+  var i, b, prevNode;
+
+  if (!n.bindings || n.nodeType === 1) { return }
+
+  prevNode = currentNode;
+  currentNode = n;
+
+  try {
+    for (i = 0; i < n.bindings.length; i++) {
+      b = n.bindings[i];
+
+      try { b.update && b.update() }
+      catch (e) { handleBindingError(e, b, this.di) }
+    }
+  } finally {
+    currentNode = prevNode;
+  }
+
+  for (i = 0; n.anchoredNodes && i < n.anchoredNodes.length; i++) {
+    this.paths.set(n.anchoredNodes[i],
+      path + '[' + i + '] > ' + describeNode(n.anchoredNodes[i]));
+  }
+};
+
+// Walks fresh nodes under freshParent along with the existing nodes under
+// parentEl, matching them one by one.
+Hydration.prototype.hydrateChildren = function(freshParent, parentEl, parentPath) {
+  var nFresh = freshParent.firstChild, nNext, nExisting = parentEl.firstChild;
+  var path;
+
+  while (nFresh) {
+    path = this.pathOf(nFresh, parentPath);
+    this.evaluate(nFresh, path);
+
+    // Read after evaluating, since anchors insert their anchored nodes next.
+    nNext = nFresh.nextSibling;
+
+    // Whitespace between server-rendered elements is meaningless to us.
+    while (
+      nFresh.nodeType !== 3 && nExisting && nExisting.nodeType === 3 &&
+      wsOnlyRegExp.test(nExisting.textContent)
+    ) {
+      nExisting = nExisting.nextSibling;
     }
-  });
 
-  // Recursively add boundNodes collected in the newNodes array.
-  forEachNodeWithBindings(newNodes, function(n) {
-    if (di.boundNodes.indexOf(n) !== -1) { return }
+    nExisting = this.hydrateNode(nFresh, nExisting, parentEl, path).nextSibling;
+    nFresh = nNext;
+  }
 
-    di.boundNodes.push(n);
+  // Remove any leftover server-rendered nodes.
+  while (nExisting) {
+    nNext = nExisting.nextSibling;
 
-    for (i = 0; i < n.bindings.length; i++) {
-      b = n.bindings[i];
+    if (nExisting.nodeType !== 3 || !wsOnlyRegExp.test(nExisting.textContent)) {
+      this.reportMismatch(this.pathOf(nExisting, parentPath), null, nExisting);
+      parentEl.removeChild(nExisting);
+    }
 
-      if (onAttachRegExp.test(b.key)) {
-        try { b.handler(n) } catch (e) { di.console.error(e) }
-        break;
-      }
+    nExisting = nNext;
+  }
+};
+
+// Returns the node that ends up in the document in place of nFresh.
+Hydration.prototype.hydrateNode = function(nFresh, nExisting, parentEl, path) {
+  var text = nFresh.textContent;
+
+  // The browser merges adjacent server-rendered text nodes, so we split them
+  // apart again. Empty text nodes aren't rendered at all, so we add them.
+  if (nFresh.nodeType === 3 && (!nExisting || nExisting.nodeType === 3)) {
+    if (!text) {
+      parentEl.insertBefore(nFresh, nExisting);
+      return nFresh;
     }
+
+    if (
+      nExisting && nExisting.textContent.length > text.length &&
+      nExisting.textContent.indexOf(text) === 0
+    ) {
+      nExisting.splitText(text.length);
+    }
+  }
+
+  if (
+    !nExisting ||
+    nExisting.nodeType !== nFresh.nodeType ||
+    nExisting.nodeName !== nFresh.nodeName ||
+    nExisting.namespaceURI !== nFresh.namespaceURI ||
+    (nFresh.nodeType !== 1 && nExisting.textContent !== text)
+  ) {
+    this.reportMismatch(path, nFresh, nExisting);
+
+    if (nExisting) { parentEl.replaceChild(nFresh, nExisting) }
+    else { parentEl.appendChild(nFresh) }
+
+    return nFresh;
+  }
+
+  this.adopt(nFresh, nExisting);
+  if (nFresh.nodeType === 1) { this.hydrateChildren(nFresh, nExisting, path) }
+
+  return nExisting;
+};
+
+// Moves bindings, event listeners and any other expando props from nFresh to
+// nExisting.
+Hydration.prototype.adopt = function(nFresh, nExisting) {
+  var i, k;
+
+  this.nodeMap.set(nFresh, nExisting);
+
+  for (k in nFresh) {
+    if (nFresh.hasOwnProperty(k)) { nExisting[k] = nFresh[k] }
+  }
+
+  for (i = 0; nFresh.listeners && i < nFresh.listeners.length; i++) {
+    nExisting.addEventListener(nFresh.listeners[i].evName, nFresh.listeners[i].fn);
+  }
+
+  for (i = 0; nFresh.bindings && i < nFresh.bindings.length; i++) {
+    nFresh.bindings[i].target = nExisting;
+  }
+
+  if (nFresh.bindings || nFresh.anchoredNodes || nFresh.contextParent) {
+    this.hydratedNodes.push(nExisting);
+  }
+};
+
+// Replaces references to fresh nodes with the hydrated ones in anchor bindings.
+Hydration.prototype.remapNodes = function(x) {
+  var self = this;
+
+  if (Array.isArray(x)) { return x.map(function(x) { return self.remapNodes(x) }) }
+  return isNode(x) ? self.nodeMap.get(x) || x : x;
+};
+
+Hydration.prototype.remapAnchors = function() {
+  var self = this;
+
+  self.hydratedNodes.forEach(function(n) {
+    if (n.anchoredNodes) { n.anchoredNodes = self.remapNodes(n.anchoredNodes) }
+    if (n.contextParent) { n.contextParent = self.remapNodes(n.contextParent) }
+
+    (n.nodeType === 8 && n.bindings || []).forEach(function(b) {
+      anchorNodeKeys.forEach(function(k) {
+        if (b.hasOwnProperty(k)) { b[k] = self.remapNodes(b[k]) }
+      });
+
+      b.valueMap && b.valueMap.forEach(function(metas) {
+        metas.forEach(function(meta) { meta.n = self.remapNodes(meta.n) });
+      });
+
+      b.rows && b.rows.forEach(function(row) { row.n = self.remapNodes(row.n) });
+
+      b.branches && b.branches.forEach(function(ns, k) {
+        b.branches.set(k, self.remapNodes(ns));
+      });
+    });
   });
+};
 
-  di.updateSync();
-}
+// Attaches bindings from the nodes returned by fn to the (server-rendered)
+// nodes already in rootEl, instead of replacing them. Mismatching nodes are
+// reported (and replaced). Returns the array of reported mismatch errors.
+function hydrate(rootEl, fn, di) {
+  di = di || {};
+  di.console = di.console || console;
+  di.processMutations = di.processMutations || processMutations;
 
-var observer = typeof MutationObserver !== 'undefined' &&
-  new MutationObserver(processMutations);
+  var h = new Hydration(di), fragment = getDocument().createDocumentFragment();
 
-observer && observer.observe(document, { childList: true, subtree: true });
+  flat(arrayify(fn()), 10).forEach(function(x) {
+    x = appendableNode(x);
+    x && fragment.appendChild(x);
+  });
 
-function childMacro(fn) {
-  try {
-    var ret = fn();
+  h.hydrateChildren(fragment, rootEl, describeNode(rootEl));
+  h.remapAnchors();
 
-    if (nullish(ret) || ret instanceof Node || Array.isArray(ret)) {
-      return ret;
+  // The document was already there, so no mutations were observed for it.
+  di.processMutations([{
+    addedNodes: [].slice.call(rootEl.childNodes),
+    removedNodes: [],
+  }], null);
+
+  return h.mismatches;
+}
+
+// Router:
+// d.router(routes, [opts]) creates a Router, which keeps the current location
+// in sync with the address bar and renders the components of matching routes
+// in route views (router.view() or <d.RouteView>). Routes are objects with:
+// path: e.g. '/users/:id' (params) or '/files/*' (params.wildcard). Paths of
+// nested routes are relative to their parent's;
+// component: rendered with { router, route, params, query } props, plus
+// the route view for nested routes as children;
+// lazy: function returning a promise of the component (or a module exporting
+// it as default), called when the route is first shown;
+// children: nested routes;
+// beforeEnter: guard function(to, from) (see Router.prototype.navigate).
+// Supported opts:
+// mode: 'history' (default) or 'hash';
+// base: path prefix in history mode;
+// beforeEach: guard function(to, from) for all routes;
+// pending: nodes shown while lazy components are loading;
+// url: initial app URL when there's no address bar (e.g. when rendering on the
+// server), in which case the current URL is only kept in memory;
+// window: the window to use (defaults to the document's).
+// The last router created is the default for d.Link and d.RouteView.
+var defaultRouter = null;
+
+// Guards redirecting more times in a row than this are assumed to loop.
+var maxRedirects = 10;
+
+function Router(routes, opts) {
+  var self = this;
+
+  opts = opts || {};
+
+  self.opts = opts;
+  self.mode = opts.mode || 'history';
+  self.base = (opts.base || '').replace(/\/$/, '');
+  self.window = opts.window || getDocument().defaultView || null;
+  self.routes = compileRoutes(routes, '', []);
+  self.current = null;
+  self.navigations = 0;
+  self.url = opts.url || '/';
+
+  // Components of lazy routes, once loaded. Routes may be shared between
+  // routers, so they're not written back to them.
+  self.lazyComponents = new Map();
+
+  if (self.hasAddressBar()) {
+    self.index = self.historyIndex();
+
+    // History entries are numbered, so cancelled back/forward navigations can
+    // be undone (see Router.prototype.restore).
+    if (self.index === null) {
+      self.index = 0;
+      self.window.history.replaceState({ routerIndex: 0 }, '');
     }
-  } catch(err) {}
 
-  return createTextNode(fn);
+    self.onLocationChange = function() {
+      if (self.restoring) { self.restoring = false; return }
+      self.navigate(self.location(), { fromHistory: true });
+    };
+
+    // Not through listen(), which would leave listeners on the window.
+    self.window.addEventListener(self.mode === 'hash' ? 'hashchange' : 'popstate',
+      self.onLocationChange);
+  }
+
+  // The initial navigation goes through guards too, so nothing is shown until
+  // it's done.
+  self.ready = self.navigate(self.location(), { replace: true });
+
+  defaultRouter = self;
 }
 
-function resolve(x) { return typeof x === 'function' ? x() : x }
+// Returns whether there's an address bar to follow (otherwise, the current URL
+// is only kept in memory).
+Router.prototype.hasAddressBar = function() {
+  var loc = this.window && this.window.location;
+  return Boolean(loc && /^(https?|file):$/.test(loc.protocol) && this.window.history);
+};
 
-function update() {
-  var p = window.Promise && new Promise(function(cb) {
-    update.promiseCallbacks.push(cb);
-  });
+// Returns the current app URL (path, query string and hash) from the address
+// bar (or memory).
+Router.prototype.location = function() {
+  var loc = this.window && this.window.location, path;
 
-  if (update.frame) { return p }
+  if (!this.hasAddressBar()) { return this.url }
 
-  update.frame = requestAnimationFrame(function() {
-    var i;
+  if (this.mode === 'hash') { return loc.hash.replace(/^#/, '') || '/' }
 
-    updateSync();
-    update.frame = null;
+  path = loc.pathname;
 
-    for (i = 0; i < update.promiseCallbacks.length; i++) {
-      try { update.promiseCallbacks[i]() } catch (e) { console.error(e) }
+  if (this.base && path.indexOf(this.base) === 0) {
+    path = path.slice(this.base.length);
+  }
+
+  return (path || '/') + loc.search + loc.hash;
+};
+
+// Returns the href for app URL url.
+Router.prototype.href = function(url) {
+  return this.mode === 'hash' ? '#' + url : this.base + url;
+};
+
+// Returns the route state for app URL url: { url, path, query, params,
+// matched }, where matched has { route, key } for the matching route and its
+// parents (outermost first), or null if no route matches.
+Router.prototype.resolve = function(url) {
+  var i, j, r, m, params = {}, parts = /^([^?#]*)(\?[^#]*)?/.exec(url);
+  var path = normalizePath(parts[1]);
+
+  for (i = 0; i < this.routes.length; i++) {
+    r = this.routes[i];
+    m = r.regExp.exec(path);
+    if (!m) { continue }
+
+    // Routes don't match malformed params (e.g. '%E0%A4%A').
+    for (j = 0; j < r.keys.length; j++) {
+      params[r.keys[j]] = decodeUriPart(m[j + 1]);
+      if (params[r.keys[j]] === null) { break }
     }
 
-    update.promiseCallbacks.length = 0;
+    if (j < r.keys.length) { params = {}; continue }
+
+    return {
+      url: url,
+      path: path,
+      query: parseQuery(parts[2] || ''),
+      params: params,
+
+      // Route views rerender whenever their route or its params change.
+      matched: r.chain.map(function(x) {
+        return {
+          route: x.route,
+          key: JSON.stringify(x.keys.map(function(k) { return params[k] })),
+        };
+      }),
+    };
+  }
+
+  return null;
+};
+
+// Navigates to app URL url. Guards (opts.beforeEach, then beforeEnter of each
+// matched route) are called with the route states to and from (see resolve)
+// and may return false to cancel navigation, an app URL to redirect to, or a
+// promise of either. Resolves to whether navigation happened. Supported opts:
+// replace: whether to replace the current history entry instead of adding one.
+// Redirects are followed up to maxRedirects times in a row, after which
+// navigation is cancelled and a 'router' error reported.
+Router.prototype.navigate = function(url, opts) {
+  var self = this, from = self.current, to = self.resolve(url);
+  var run = ++self.navigations, guards = [], index = null, e;
+
+  opts = opts || {};
+
+  // The history entry navigated to by back/forward.
+  if (opts.fromHistory) { index = self.historyIndex() }
+
+  self.opts.beforeEach && guards.push(self.opts.beforeEach);
+
+  (to ? to.matched : []).forEach(function(m) {
+    m.route.beforeEnter && guards.push(m.route.beforeEnter);
   });
 
-  return p;
-}
+  return guards.reduce(function(p, guard) {
+    return p.then(function(x) {
+      return x === false || typeof x === 'string' ? x : guard(to, from);
+    });
+  }, Promise.resolve(true)).then(function(x) {
+    // Newer navigations win.
+    if (run !== self.navigations) { return false }
+
+    if (typeof x === 'string') {
+      if ((opts.redirects || 0) >= maxRedirects) {
+        e = new Error('Too many redirects (last one from ' + url + ' to ' + x + ')');
+        reportError(e, { type: 'router', key: url });
+        return false;
+      }
 
-update.promiseCallbacks = [];
+      return self.navigate(x, { replace: true, redirects: (opts.redirects || 0) + 1 });
+    }
 
-function updateSync(di) {
-  di = di || {};
-  di.boundNodes = di.boundNodes || boundNodes;
-  di.updateNode = di.updateNode || updateNode;
-  di.evListeners = di.evListeners || evListeners;
-  di.console = di.console || console;
+    if (x === false) {
+      opts.fromHistory && from && self.restore(from.url, index);
+      return false;
+    }
 
-  var i;
+    self.current = to;
+    opts.fromHistory ? self.follow(index) : self.write(url, opts.replace);
+    update();
 
-  for (i = 0; i < di.evListeners.beforeUpdate.length; i++) {
-    try { di.evListeners.beforeUpdate[i]() } catch (e) { di.console.error(e) }
+    return true;
+  }, function(e) {
+    reportError(e, { type: 'router', key: url });
+    return false;
+  });
+};
+
+// Writes app URL url to the address bar.
+Router.prototype.write = function(url, replace) {
+  if (!this.hasAddressBar()) { this.url = url; return }
+  if (this.location() === url) { return }
+
+  if (!replace) { this.index++ }
+
+  this.window.history[replace ? 'replaceState' : 'pushState'](
+    { routerIndex: this.index }, '', this.href(url));
+};
+
+// Returns the number of the current history entry (see write), or null if it
+// wasn't added by the router (e.g. when following a plain hash link).
+Router.prototype.historyIndex = function() {
+  var state = this.hasAddressBar() && this.window.history.state;
+  return state && typeof state.routerIndex === 'number' ? state.routerIndex : null;
+};
+
+// Keeps track of the history entry a back/forward navigation went to (index),
+// numbering it if needed.
+Router.prototype.follow = function(index) {
+  if (index !== null) { this.index = index; return }
+
+  this.window.history.replaceState({ routerIndex: ++this.index }, '');
+};
+
+// Puts the address bar back to app URL url after a cancelled back/forward
+// navigation to history entry index, by going back to the entry it came from
+// (or adding one for url if that's unknown), so other entries are left intact.
+Router.prototype.restore = function(url, index) {
+  if (index === null || index === this.index) { this.write(url); return }
+
+  this.restoring = true;
+  this.window.history.go(this.index - index);
+};
+
+// Returns whether the current path is app URL url's path or a descendant of it
+// (or exactly it, when exact is true).
+Router.prototype.isActive = function(url, exact) {
+  var path, current = this.current && this.current.path;
+
+  if (!current) { return false }
+
+  path = normalizePath(url.split(/[?#]/)[0]);
+
+  return current === path || !exact &&
+    (path === '/' ? false : current.indexOf(path + '/') === 0);
+};
+
+// Returns an anchor showing the component of the matched route at the given
+// nesting depth (0 for top-level routes).
+Router.prototype.view = function(depth) {
+  return createBoundComment('route view', {
+    router: this,
+    depth: depth || 0,
+    update: routeViewBindingUpdate,
+  });
+};
+
+// Stops following the address bar.
+Router.prototype.destroy = function() {
+  if (!this.onLocationChange) { return }
+
+  this.window.removeEventListener(this.mode === 'hash' ? 'hashchange' : 'popstate',
+    this.onLocationChange);
+
+  if (defaultRouter === this) { defaultRouter = null }
+};
+
+function routeViewBindingUpdate() {
+  var current = this.router.current, m = current && current.matched[this.depth];
+
+  // If neither the route or its params changed, do nothing else.
+  if (
+    (m ? m.route : null) === this.lastRoute &&
+    (m ? m.key : null) === this.lastKey
+  ) {
+    reanchorNodes(this.target);
+    return;
   }
 
-  for (i = 0; i < di.boundNodes.length; i++) {
-    di.updateNode(di.boundNodes[i], di);
+  replaceAnchoredNodes(this.target, m ? renderRoute(this.router, m.route, this.depth) : null);
+
+  // Remember updated route.
+  this.lastRoute = m ? m.route : null;
+  this.lastKey = m ? m.key : null;
+}
+
+function renderRoute(router, route, depth) {
+  var current = router.current, props = {
+    router: router,
+    route: current,
+    params: current.params,
+    query: current.query,
+  };
+
+  var children = route.children ? [router.view(depth + 1)] : [];
+  var component = route.component || router.lazyComponents.get(route);
+
+  if (component || !route.lazy) {
+    return component ? createElement(component, props, children) : children;
   }
 
-  for (i = 0; i < di.evListeners.update.length; i++) {
-    try { di.evListeners.update[i]() } catch (e) { di.console.error(e) }
+  return createAsyncAnchor(function() {
+    return route.lazy().then(function(x) {
+      component = x && x.default || x;
+      router.lazyComponents.set(route, component);
+      return createElement(component, props, children);
+    });
+  }, { pending: router.opts.pending });
+}
+
+// Flattens nested routes into a list of { regExp, keys, chain } in matching
+// order (nested routes before their parents), where chain has { route, keys }
+// for the route and its parents (outermost first).
+function compileRoutes(routes, parentPath, parentChain) {
+  var compiled = [];
+
+  routes.forEach(function(route) {
+    var path = normalizePath(parentPath + '/' + (route.path || ''));
+    var keys = [], chain;
+
+    var source = path.split('/').map(function(x) {
+      if (x === '*') { keys.push('wildcard'); return '(.*)' }
+      if (x[0] === ':') { keys.push(x.slice(1)); return '([^/]+)' }
+      return x.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+
+    chain = parentChain.concat([{ route: route, keys: keys }]);
+
+    if (route.children) {
+      compiled.push.apply(compiled, compileRoutes(route.children, path, chain));
+    }
+
+    compiled.push({
+      regExp: new RegExp('^' + (source === '/' ? '' : source) + '/?$'),
+      keys: keys,
+      chain: chain,
+    });
+  });
+
+  return compiled;
+}
+
+// Removes duplicate and trailing slashes.
+function normalizePath(path) {
+  return ('/' + path).replace(/\/+/g, '/').replace(/(.)\/$/, '$1');
+}
+
+// Malformed query components are kept as they are.
+function parseQuery(search) {
+  var query = {};
+
+  function decode(x) {
+    x = x.replace(/\+/g, ' ');
+    return decodeUriPart(x) === null ? x : decodeUriPart(x);
   }
+
+  search.replace(/^\?/, '').split('&').forEach(function(x) {
+    var i = x.indexOf('='), k = i === -1 ? x : x.slice(0, i);
+    if (!k) { return }
+
+    query[decode(k)] = i === -1 ? '' : decode(x.slice(i + 1));
+  });
+
+  return query;
 }
 
-function updateNode(n, di) {
-  di = di || {};
+// Returns null for malformed URI components.
+function decodeUriPart(x) {
+  try { return decodeURIComponent(x) }
+  catch (e) {
+    if (e instanceof URIError) { return null }
+    throw e;
+  }
+}
 
-  var i, b;
+function createRouter(routes, opts) { return new Router(routes, opts) }
 
-  // n.parentNode is a workaround for IE11's Node#contains not working on
-  // non-Element nodes.
-  if (!document.body || !document.body.contains(n.parentNode)) { return }
+function routerFromProps(props) {
+  var router = props.router || defaultRouter;
+  if (!router) { throw new Error('No router (create one with d.router first)') }
+  return router;
+}
 
-  for (i = 0; i < n.bindings.length; i++) {
-    b = n.bindings[i];
+// <d.RouteView router={router}?>: the top-level route view.
+function RouteView(props) { return routerFromProps(props).view() }
 
-    try {
-      b.update && b.update();
+// <d.Link href="/app/url" replace? exact? activeClass? router?>.
+// Renders an anchor navigating to href through the router on (plain) clicks.
+// It gets the activeClass (defaults to 'active') while href is active (see
+// Router.prototype.isActive), and aria-current="page" while it's the current
+// page.
+var linkPropsRegExp = /^(children|router|href|replace|exact|activeClass|onClick)$/;
 
-      if (b.error) {
-        if (--b.error.count <= 0) { clearError(b.error) }
-        b.error = null;
-      }
-    } catch (e) {
-      handleBindingError(e, b, di);
-    }
+function Link(props) {
+  var router = routerFromProps(props), url = props.href, k, elProps = {};
+
+  for (k in props) {
+    if (!props.hasOwnProperty(k) || linkPropsRegExp.test(k)) { continue }
+    elProps[k] = props[k];
   }
+
+  elProps.href = router.href(url);
+
+  elProps.class = [props.class, function() {
+    return router.isActive(url, props.exact) && (props.activeClass || 'active');
+  }];
+
+  elProps['aria-current'] = function() {
+    return router.isActive(url, true) ? 'page' : null;
+  };
+
+  elProps.onClick = function(ev) {
+    props.onClick && props.onClick(ev);
+
+    if (
+      ev.defaultPrevented || ev.button || ev.metaKey || ev.ctrlKey ||
+      ev.shiftKey || ev.altKey || (props.target && props.target !== '_self')
+    ) {
+      return;
+    }
+
+    ev.preventDefault();
+    return router.navigate(url, { replace: props.replace });
+  };
+
+  return createElement('a', elProps, props.children);
 }
 
-var errors = {};
+// Forms:
+// d.form(opts) creates a Form, which keeps form values in form.values and
+// tracks, for each field, whether it's dirty (changed by the user), touched
+// (blurred) and its validation errors. Supported opts:
+// values: initial values (by field name);
+// validators: validator functions (or arrays of those) by field name. They're
+// called as fn(value, values) and return an error message (or a promise of
+// one) when the value is invalid, anything else otherwise;
+// onSubmit: function(values, form) called by form.submit if all values are
+// valid. form.isSubmitting is true until its returned promise (if any)
+// settles;
+// id: prefix for ids of error message elements (generated by default).
+// Fields are validated on creation, whenever they change, and on submit, but
+// their errors are only shown once they're touched (or the form submitted).
+var formCount = 0;
+
+function Form(opts) {
+  var self = this;
+
+  opts = opts || {};
+
+  self.opts = opts;
+  self.id = opts.id || 'd-form-' + ++formCount;
+  self.validators = opts.validators || {};
+
+  // Bound so it can be used as a submit event handler.
+  self.submit = self.submit.bind(self);
+
+  self.reset();
+}
 
-function handleBindingError(e, binding, di) {
-  di.console = di.console || console;
+Object.defineProperties(Form.prototype, {
+  isValid: {
+    get: function() {
+      var self = this;
 
-  var eDesc = e.toString();
+      return self.names().every(function(name) {
+        var state = self.state(name);
+        return !state.validating && !state.errors.length;
+      });
+    },
+  },
 
-  var eEntry = errors[eDesc] = errors[eDesc] || {
-    firstInstance: e,
-    count: 0,
-    bindings: [],
+  isDirty: {
+    get: function() {
+      var self = this;
+      return self.names().some(function(name) { return self.state(name).dirty });
+    },
+  },
+});
+
+// Returns all field names (with values or validators).
+Form.prototype.names = function() {
+  var names = Object.keys(this.values);
+
+  Object.keys(this.validators).forEach(function(name) {
+    names.indexOf(name) === -1 && names.push(name);
+  });
+
+  return names;
+};
+
+// Returns the state of field name: { dirty, touched, errors, validating }.
+Form.prototype.state = function(name) {
+  return this.fields[name] = this.fields[name] || {
+    dirty: false,
+    touched: false,
+    errors: [],
+    validating: false,
+    runs: 0,
   };
+};
 
-  if (eEntry.bindings.indexOf(binding) === -1) {
-    eEntry.bindings.push(binding);
-  }
+Form.prototype.errors = function(name) { return this.state(name).errors };
 
-  binding.error = eEntry;
+// Returns whether field name's errors should be shown.
+Form.prototype.showError = function(name) {
+  var state = this.state(name);
+  return state.errors.length > 0 && (state.touched || this.submitted);
+};
 
-  if (++eEntry.count === 1) {
-    di.console.error(e);
-    di.console.error('in', binding);
+Form.prototype.errorId = function(name) { return this.id + '-' + name + '-error' };
+
+// Validates field name (or all fields). Resolves to whether they're valid.
+Form.prototype.validate = function(name) {
+  var self = this, state, run, results;
+
+  if (nullish(name)) {
+    return Promise.all(self.names().map(function(name) {
+      return self.validate(name);
+    })).then(function(xs) { return xs.every(Boolean) });
   }
-}
 
-function clearError(e) { delete errors[e.toString()] }
+  state = self.state(name);
+  run = ++state.runs;
 
-var evListeners = { beforeUpdate: [], update: [] };
+  results = arrayify(self.validators[name] || []).map(function(fn) {
+    return fn(self.values[name], self.values);
+  });
 
-function addEventListener(evName, fn) { evListeners[evName].push(fn) }
+  // Synchronous errors are available right away. Async runs still pending are
+  // superseded by this one either way.
+  state.errors = formErrors(results);
+  state.validating = results.some(isThenable);
+  if (!state.validating) { return Promise.resolve(!state.errors.length) }
+
+  return Promise.all(results).then(function(xs) {
+    // Results from previous runs settling later are ignored.
+    if (run === state.runs) {
+      state.errors = formErrors(xs);
+      state.validating = false;
+      update();
+    }
 
-function removeEventListener(evName, fn) {
-  var i = evListeners[evName].indexOf(fn);
-  if (i !== -1) { evListeners[evName].splice(i, 1) }
+    return !formErrors(xs).length;
+  }, function(e) {
+    if (run === state.runs) { state.validating = false }
+    reportError(e, { type: 'validation', key: name });
+    return false;
+  });
+};
+
+// Returns props binding a form element to field name, e.g.
+// <input {...form.field('email')} />. Supported opts:
+// prop: the form binding prop (defaults to 'value');
+// parse, format, lazy: see formBindingUpdate.
+Form.prototype.field = function(name, opts) {
+  var self = this, props = { name: name };
+
+  opts = opts || {};
+
+  props[opts.prop || 'value'] = new Binding({
+    get: function() { return self.values[name] },
+
+    set: function(x) {
+      self.values[name] = x;
+      self.state(name).dirty = true;
+      self.validate(name);
+    },
+
+    parse: opts.parse,
+    format: opts.format,
+    lazy: opts.lazy,
+  });
+
+  props.onBlur = function() { self.state(name).touched = true };
+
+  props['aria-invalid'] = function() { return self.showError(name) ? 'true' : null };
+
+  props['aria-describedby'] = function() {
+    return self.showError(name) ? self.errorId(name) : null;
+  };
+
+  return props;
+};
+
+// Returns an element showing the first error of field name when it should be
+// shown (see showError). Fields refer to it with aria-describedby.
+Form.prototype.errorMessage = function(name, props) {
+  var self = this;
+
+  return createElement('span', objAssign({
+    id: self.errorId(name),
+    hidden: function() { return !self.showError(name) },
+  }, props), createTextNode(function() {
+    return self.showError(name) ? self.errors(name)[0] : '';
+  }));
+};
+
+// Validates all fields and, if valid, calls opts.onSubmit. Resolves to
+// whether it was called. Can be used as a submit event handler directly.
+Form.prototype.submit = function(ev) {
+  var self = this;
+
+  ev && ev.preventDefault && ev.preventDefault();
+  self.submitted = true;
+
+  return self.validate().then(function(valid) {
+    if (!valid || !self.opts.onSubmit) { update(); return valid }
+
+    self.isSubmitting = true;
+    update();
+
+    return Promise.resolve(self.opts.onSubmit(self.values, self)).then(function() {
+      self.isSubmitting = false;
+      update();
+      return true;
+    }, function(e) {
+      self.isSubmitting = false;
+      update();
+      throw e;
+    });
+  });
+};
+
+// Resets values (to opts.values, unless supplied) and field states.
+Form.prototype.reset = function(values) {
+  this.values = objAssign({}, values || this.opts.values);
+  this.fields = {};
+  this.submitted = false;
+  this.isSubmitting = false;
+  this.validate();
+};
+
+function formErrors(xs) {
+  return xs.filter(function(x) { return typeof x === 'string' && x });
 }
 
+function createForm(opts) { return new Form(opts) }
+
 objAssign(exports, {
   Binding: Binding,
   binding: createBinding,
+  ref: createRef,
 
   JsxFragment: JsxFragment,
   el: createElement,
+  Component: Component,
+  onCleanup: onCleanup,
+  effect: effect,
   comment: createComment,
   child: childMacro,
 
   if: createIfAnchor,
   map: createMapAnchor,
+  groupMap: createGroupMapAnchor,
+  virtualMap: createVirtualMapAnchor,
+  switch: createSwitchAnchor,
+  transition: createTransition,
+  async: createAsyncAnchor,
   text: createTextNode,
   portal: createPortalNode,
 
+  ErrorBoundary: ErrorBoundary,
+
+  form: createForm,
+  Form: Form,
+
+  router: createRouter,
+  Router: Router,
+  RouteView: RouteView,
+  Link: Link,
+
   fromContext: fromContext,
+  provide: provide,
+  Provider: Provider,
+  context: readContext,
 
   processMutations: processMutations,
+  BoundNodeRegistry: BoundNodeRegistry,
   boundNodes: boundNodes,
   ieNodes: ieNodes,
 
@@ -871,6 +3970,11 @@ objAssign(exports, {
   updateSync: updateSync,
   updateNode: updateNode,
 
+  dispose: dispose,
+
+  renderToString: renderToString,
+  hydrate: hydrate,
+
   errors: errors,
   handleBindingError: handleBindingError,
   clearError: clearError,
@@ -878,6 +3982,13 @@ objAssign(exports, {
 
 // General helpers:
 function arrayify(x) { return Array.isArray(x) ? x : [x] }
+function isPlainObject(x) {
+  return Boolean(x) && (
+    x.constructor === Object ||
+    (typeof x === 'object' && Object.getPrototypeOf(x) === null)
+  );
+}
+function isThenable(x) { return Boolean(x) && typeof x.then === 'function' }
 
 // IE11 helpers:
 function objAssign(a, b) {
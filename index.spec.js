@@ -1,3 +1,4 @@
+let babel = require('@babel/core');
 let sinon = require('sinon');
 let d = require('.');
 let { JSDOM } = require('jsdom');
@@ -8,6 +9,7 @@ let jsdom = new JSDOM('<!doctype html>');
 for (let k of [
   'Comment',
   'HTMLElement',
+  'Node',
   'NodeFilter',
   'Text',
   'document',
@@ -51,6 +53,112 @@ describe('binding', () => {
   });
 });
 
+describe('ref', () => {
+  it('creates a two-way Binding to a (nested) key path', () => {
+    let state = { user: { name: 'foo' } };
+    let b = d.ref(state, 'user.name');
+
+    assert.instanceOf(b, d.Binding);
+    assert.equal(b.get(), 'foo');
+
+    assert.equal(b.set('bar'), 'bar');
+    assert.equal(state.user.name, 'bar');
+
+    state.user = { name: 'baz' };
+    assert.equal(d.ref(state, ['user', 'name']).get(), 'baz');
+  });
+
+  it('works as an input value binding', () => {
+    let state = { text: 'foo' };
+    let el = d.el('input', { value: d.ref(state, 'text') });
+
+    el.bindings[0].update();
+    assert.equal(el.value, 'foo');
+
+    el.value = 'bar';
+    el.dispatchEvent(new jsdom.window.Event('input'));
+    assert.equal(state.text, 'bar');
+  });
+
+  it('compiles d.ref(expr) to a two-way Binding with babelatrix', () => {
+    let { code } = babel.transformSync('d.ref(state.user.name)', {
+      babelrc: false,
+      configFile: false,
+      plugins: [require.resolve('./babelatrix')],
+    });
+
+    let state = { user: { name: 'foo' } };
+    let b = new Function('d', 'state', `return ${code}`)(d, state);
+
+    assert.instanceOf(b, d.Binding);
+    assert.equal(b.get(), 'foo');
+
+    b.set('bar');
+    assert.equal(state.user.name, 'bar');
+  });
+});
+
+describe('babelatrix', () => {
+  let compile = src => babel.transformSync(src, {
+    babelrc: false,
+    configFile: false,
+
+    plugins: [
+      require.resolve('./babelatrix'),
+      ['@babel/plugin-transform-react-jsx', { pragma: 'd.el', pragmaFrag: 'd.JsxFragment' }],
+    ],
+  }).code;
+
+  let run = (src, scope = {}) => new Function('d', ...Object.keys(scope),
+    `return ${compile(src).replace(/;$/, '')}`)(d, ...Object.values(scope));
+
+  it('moves <d.ErrorBoundary> children into a render prop', () => {
+    let Broken = () => { throw new Error('render') };
+    let c = run('<d.ErrorBoundary fallback={e => e.message}><p /><Broken /></d.ErrorBoundary>', { Broken });
+
+    d.el('div', null, c);
+    c.bindings[0].update();
+
+    assert.isFunction(c.bindings[0].render);
+    assert.equal(c.parentNode.textContent, 'render');
+  });
+
+  it('wraps d.switch values and JSX cases in functions', () => {
+    let state = { tab: 'a' }, A = sinon.fake.returns('A'), B = sinon.fake.returns('B');
+    let c = run('d.switch(state.tab, { a: <A />, b: <B />, default: "none" })', { state, A, B });
+
+    d.el('div', null, c);
+    c.bindings[0].update();
+    assert.equal(c.parentNode.textContent, 'A');
+    assert.isFalse(B.called);
+
+    state.tab = 'b';
+    c.bindings[0].update();
+    assert.equal(c.parentNode.textContent, 'B');
+
+    state.tab = 'c';
+    c.bindings[0].update();
+    assert.equal(c.parentNode.textContent, 'none');
+  });
+
+  it('builds JSX d.if branches lazily', () => {
+    let state = { open: true }, A = sinon.fake.returns('A'), B = sinon.fake.returns('B');
+    let c = run('d.if(state.open, <A />, <B />)', { state, A, B });
+
+    assert.isFalse(A.called);
+
+    d.el('div', null, c);
+    c.bindings[0].update();
+    assert.equal(c.parentNode.textContent, 'A');
+    assert.isFalse(B.called);
+
+    state.open = false;
+    c.bindings[0].update();
+    assert.equal(c.parentNode.textContent, 'B');
+    assert.isTrue(A.calledOnce);
+  });
+});
+
 describe('el', () => {
   describe('when type implements IRenderable', () => {
     let instance;
@@ -168,6 +276,27 @@ describe('el', () => {
         assert.equal(el.style.getPropertyValue('text-align'), 'center');
       });
 
+      it('assigns the created element to ref callbacks and clears it on detach', () => {
+        let ref = sinon.fake();
+        let el = d.el('input', { ref });
+        assert.isTrue(ref.calledWith(el));
+
+        let boundNodes = new d.BoundNodeRegistry();
+        let updateNode = sinon.fake();
+        d.processMutations([{ addedNodes: [el], removedNodes: [] }], null, { boundNodes, updateNode });
+        assert.isTrue(ref.lastCall.calledWith(el));
+
+        d.processMutations([{ addedNodes: [], removedNodes: [el] }], null, { boundNodes, updateNode });
+        assert.isTrue(ref.lastCall.calledWith(null));
+      });
+
+      it('assigns the created element to ref Binding setters', () => {
+        let state = {};
+        let el = d.el('input', { ref: d.ref(state, 'inputEl') });
+
+        assert.equal(state.inputEl, el);
+      });
+
       it('sets regular props to the created element', () => {
         let el = d.el('div', { id: 'test' });
         assert.equal(el.id, 'test');
@@ -185,6 +314,434 @@ describe('el', () => {
   });
 });
 
+describe('form bindings', () => {
+  let state;
+  let input = (el, ev = 'input') => el.dispatchEvent(new jsdom.window.Event(ev));
+
+  beforeEach(() => state = {});
+
+  it('parses and formats values, and listens to change events when lazy', () => {
+    state.price = 1.5;
+
+    let el = d.el('input', {
+      value: d.ref(state, 'price', { parse: Number, format: x => x.toFixed(2), lazy: true }),
+    });
+
+    el.bindings[0].update();
+    assert.equal(el.value, '1.50');
+
+    el.value = '3';
+    input(el);
+    assert.equal(state.price, 1.5);
+
+    input(el, 'change');
+    assert.strictEqual(state.price, 3);
+
+    el.bindings[0].update();
+    assert.equal(el.value, '3', 'values set from the element are not written back');
+  });
+
+  it('binds valueAsNumber', () => {
+    state.n = 5;
+
+    let el = d.el('input', { type: 'number', valueAsNumber: d.ref(state, 'n') });
+    el.bindings[0].update();
+    assert.equal(el.value, '5');
+
+    el.value = '7';
+    input(el);
+    assert.strictEqual(state.n, 7);
+
+    el.value = '';
+    input(el);
+    assert.isNull(state.n);
+  });
+
+  it('binds selectedValues', () => {
+    state.fruits = ['b'];
+
+    let el = d.el('select', { multiple: true, selectedValues: d.ref(state, 'fruits') },
+      ...['a', 'b', 'c'].map(x => d.el('option', { value: x }, x)));
+
+    el.bindings[0].update();
+    assert.deepEqual([...el.selectedOptions].map(x => x.value), ['b']);
+
+    el.options[2].selected = true;
+    input(el, 'change');
+    assert.deepEqual(state.fruits, ['b', 'c']);
+  });
+
+  it('binds radio groups', () => {
+    state.size = 2;
+
+    let radios = [1, 2, 3].map(x => d.el('input', {
+      type: 'radio', name: 'size', value: x, group: d.ref(state, 'size', { parse: Number }),
+    }));
+
+    radios.forEach(el => el.bindings[0].update());
+    assert.deepEqual(radios.map(el => el.checked), [false, true, false]);
+
+    radios[0].checked = true;
+    input(radios[0], 'change');
+    assert.strictEqual(state.size, 1);
+  });
+
+  it('binds checkbox groups', () => {
+    state.tags = ['a'];
+
+    let boxes = ['a', 'b'].map(x => d.el('input', {
+      type: 'checkbox', value: x, group: d.ref(state, 'tags'),
+    }));
+
+    boxes.forEach(el => el.bindings[0].update());
+    assert.deepEqual(boxes.map(el => el.checked), [true, false]);
+
+    boxes[1].checked = true;
+    input(boxes[1], 'change');
+    assert.deepEqual(state.tags, ['a', 'b']);
+
+    boxes[0].checked = false;
+    input(boxes[0], 'change');
+    assert.deepEqual(state.tags, ['b']);
+  });
+
+  it('binds files', () => {
+    state.files = null;
+
+    let el = d.el('input', { type: 'file', files: d.ref(state, 'files') });
+    el.bindings[0].update();
+
+    input(el, 'change');
+    assert.deepEqual(state.files, []);
+  });
+});
+
+describe('form', () => {
+  let form, onSubmit, parentEl;
+  let input = (el, value) => { el.value = value; el.dispatchEvent(new jsdom.window.Event('input')) };
+
+  let taken = ['admin'];
+
+  beforeEach(() => {
+    onSubmit = sinon.fake.resolves();
+
+    form = d.form({
+      values: { name: '', email: '' },
+
+      validators: {
+        name: [
+          x => !x && 'Required',
+          x => Promise.resolve(taken.includes(x) && 'Taken'),
+        ],
+
+        email: x => !/@/.test(x) && 'Invalid email',
+      },
+
+      onSubmit,
+    });
+
+    parentEl = d.el('div');
+    document.body.append(parentEl);
+  });
+
+  afterEach(() => parentEl.remove());
+
+  it('tracks dirty state and validates fields', () => {
+    let el = d.el('input', form.field('email'));
+    parentEl.append(el);
+    d.updateSync(parentEl);
+
+    assert.isFalse(form.isDirty);
+    assert.deepEqual(form.errors('email'), ['Invalid email']);
+
+    input(el, 'foo@bar');
+    assert.equal(form.values.email, 'foo@bar');
+    assert.isTrue(form.state('email').dirty);
+    assert.deepEqual(form.errors('email'), []);
+  });
+
+  it('runs async validators and ignores stale results', async () => {
+    form.values.name = 'admin';
+    let p1 = form.validate('name');
+
+    assert.isTrue(form.state('name').validating);
+    assert.isFalse(form.isValid);
+
+    form.values.name = 'bob';
+    let p2 = form.validate('name');
+
+    assert.isFalse(await p1);
+    assert.isTrue(await p2);
+    assert.deepEqual(form.errors('name'), []);
+  });
+
+  it('stops validating when a sync run supersedes a pending async one', async () => {
+    let check = x => x.length < 3 ? 'Too short' : Promise.resolve(taken.includes(x) && 'Taken');
+    form = d.form({ values: { name: 'admin' }, validators: { name: check } });
+
+    let p1 = form.validate('name');
+    assert.isTrue(form.state('name').validating);
+
+    form.values.name = 'x';
+    assert.isFalse(await form.validate('name'));
+    await p1;
+
+    assert.isFalse(form.state('name').validating);
+    assert.deepEqual(form.errors('name'), ['Too short']);
+
+    form.values.name = 'bob';
+    await form.validate('name');
+    assert.isTrue(form.isValid);
+  });
+
+  it('manages aria-invalid and aria-describedby once touched', () => {
+    let el = d.el('input', form.field('email'));
+    let msg = form.errorMessage('email');
+
+    parentEl.append(el, msg);
+    d.updateSync(parentEl);
+
+    assert.isFalse(el.hasAttribute('aria-invalid'));
+    assert.isTrue(msg.hidden);
+
+    el.dispatchEvent(new jsdom.window.Event('blur'));
+    d.updateSync(parentEl);
+
+    assert.equal(el.getAttribute('aria-invalid'), 'true');
+    assert.equal(el.getAttribute('aria-describedby'), msg.id);
+    assert.isFalse(msg.hidden);
+    assert.equal(msg.textContent, 'Invalid email');
+  });
+
+  it('only submits valid values, tracking isSubmitting', async () => {
+    assert.isFalse(await form.submit());
+    assert.isTrue(form.submitted);
+    assert.isFalse(onSubmit.called);
+
+    let isSubmitting;
+    onSubmit = sinon.fake(() => { isSubmitting = form.isSubmitting });
+    form.opts.onSubmit = onSubmit;
+    Object.assign(form.values, { name: 'bob', email: 'bob@example.com' });
+
+    assert.isTrue(await form.submit());
+    assert.isTrue(isSubmitting);
+    assert.isFalse(form.isSubmitting);
+    assert.isTrue(onSubmit.calledWith(form.values, form));
+  });
+});
+
+describe('Component', () => {
+  class Hello extends d.Component {
+    greeting = 'Hello';
+
+    render = () => d.el('p', null, d.text(() => `${this.greeting}, ${this.whom}!`));
+  }
+
+  it('stores props and defines resolving getters for them', () => {
+    let whom = 'world';
+    let el = d.el(Hello, { whom: () => whom, greeting: 'Hi' });
+    let b = el.firstChild.bindings[0];
+
+    assert.equal(b.get(), 'Hello, world!');
+    whom = 'human';
+    assert.equal(b.get(), 'Hello, human!');
+  });
+
+  it('defines prop getters before class fields are initialized', () => {
+    class Greeting extends d.Component {
+      text = `${this.greeting}, ${this.whom}!`;
+      render() { return d.el('p', null, this.text) }
+    }
+
+    assert.equal(d.el(Greeting, { greeting: 'Hi', whom: () => 'world' }).textContent, 'Hi, world!');
+  });
+
+  it('supports props set by the constructor itself', () => {
+    class Legacy extends d.Component {
+      constructor(props) { super(); this.props = props }
+      render() { return d.el('p', null, this.whom) }
+    }
+
+    assert.equal(d.el(Legacy, { whom: 'foo' }).textContent, 'foo');
+  });
+
+  it('routes prop assignments through binding setters', () => {
+    let value = 1;
+    let instance;
+
+    class Counter extends d.Component {
+      render() { instance = this; return d.el('p') }
+    }
+
+    d.el(Counter, { value: d.binding({ get: () => value, set: x => value = x }) });
+    instance.value++;
+
+    assert.equal(value, 2);
+  });
+
+  it('binds onAttach and onDetach methods to the first rendered node', () => {
+    let attached = sinon.fake();
+    let detached = sinon.fake();
+
+    class Frag extends d.Component {
+      onAttach = attached;
+      onDetach = detached;
+      render() { return ['a', d.el('p')] }
+    }
+
+    let ns = d.el(Frag);
+    let boundNodes = new d.BoundNodeRegistry();
+    let updateNode = sinon.fake();
+
+    d.processMutations([{ addedNodes: ns, removedNodes: [] }], null, { boundNodes, updateNode });
+    assert.isTrue(attached.calledWith(ns[0]));
+
+    d.processMutations([{ addedNodes: [], removedNodes: ns }], null, { boundNodes, updateNode });
+    assert.isTrue(detached.calledWith(ns[0]));
+  });
+
+  it('updates only its own nodes with this.update()', async () => {
+    let instance, text = 'foo', otherText = 'foo';
+
+    class Widget extends d.Component {
+      render() { instance = this; return d.el('p', null, d.text(() => text)) }
+    }
+
+    let el = d.el(Widget);
+    let other = d.el('p', null, d.text(() => otherText));
+    document.body.append(el, other);
+    d.updateSync(el);
+    d.updateSync(other);
+
+    text = otherText = 'bar';
+    await instance.update();
+
+    assert.equal(el.textContent, 'bar');
+    assert.equal(other.textContent, 'foo');
+
+    el.remove();
+    other.remove();
+  });
+});
+
+describe('onCleanup', () => {
+  let boundNodes, updateNode;
+  let attach = ns => d.processMutations([{ addedNodes: ns, removedNodes: [] }], null, { boundNodes, updateNode });
+  let detach = ns => d.processMutations([{ addedNodes: [], removedNodes: ns }], null, { boundNodes, updateNode });
+
+  beforeEach(() => {
+    boundNodes = new d.BoundNodeRegistry();
+    updateNode = sinon.fake();
+  });
+
+  it('runs cleanup functions once the rendered nodes are detached', () => {
+    let cleanup = sinon.fake();
+    let Ticker = () => { d.onCleanup(cleanup); return d.el('p') };
+    let el = d.el(Ticker);
+
+    attach([el]);
+    assert.isFalse(cleanup.called);
+
+    detach([el]);
+    detach([el]);
+    assert.equal(cleanup.callCount, 1);
+  });
+
+  it('supports fragment and anchor comment roots', () => {
+    let cleanup = sinon.fake(), cleanup2 = sinon.fake();
+    let Frag = () => { d.onCleanup(cleanup); return ['a', d.el('p')] };
+    let Cond = () => { d.onCleanup(cleanup2); return d.if(() => true, d.el('p')) };
+
+    let ns = d.el(Frag), c = d.el(Cond);
+
+    attach([...ns, c]);
+    detach([...ns, c]);
+
+    assert.isTrue(cleanup.calledOnce);
+    assert.isTrue(cleanup2.calledOnce);
+  });
+
+  it('waits for every root node to be detached', () => {
+    let cleanup = sinon.fake();
+    let Frag = () => { d.onCleanup(cleanup); return [d.el('p'), d.el('p')] };
+    let ns = d.el(Frag);
+
+    attach(ns);
+    detach([ns[0]]);
+    assert.isFalse(cleanup.called);
+
+    detach([ns[1]]);
+    assert.isTrue(cleanup.calledOnce);
+  });
+
+  it('runs effects on attach and their cleanups on detach', () => {
+    let cleanup = sinon.fake(), fx = sinon.fake.returns(cleanup);
+    let Clock = () => { d.effect(fx); return d.el('p') };
+    let el = d.el(Clock);
+
+    assert.isFalse(fx.called);
+
+    attach([el]);
+    detach([el]);
+    attach([el]);
+
+    assert.equal(fx.callCount, 2);
+    assert.equal(cleanup.callCount, 1);
+  });
+
+  it('runs cleanups again when detached after being reattached', () => {
+    let cleanup = sinon.fake(), fxCleanup = sinon.fake(), fx = sinon.fake.returns(fxCleanup);
+    let Widget = () => { d.onCleanup(cleanup); d.effect(fx); return d.el('p') };
+    let el = d.el(Widget);
+
+    attach([el]);
+    detach([el]);
+    attach([el]);
+    detach([el]);
+
+    assert.equal(fx.callCount, 2);
+    assert.equal(cleanup.callCount, 2);
+    assert.equal(fxCleanup.callCount, 2);
+  });
+
+  it('supports d.Component subclasses', () => {
+    let cleanup = sinon.fake();
+
+    class Widget extends d.Component {
+      render() { d.onCleanup(cleanup); return d.el('p') }
+    }
+
+    let el = d.el(Widget);
+
+    attach([el]);
+    detach([el]);
+
+    assert.isTrue(cleanup.calledOnce);
+  });
+
+  it('reports errors thrown by cleanup functions', () => {
+    let reports = [], onError = (...args) => reports.push(args);
+    let Broken = () => { d.onCleanup(() => { throw new Error('cleanup') }); return d.el('p') };
+    let el = d.el(Broken);
+
+    d.on('error', onError);
+
+    try {
+      attach([el]);
+      detach([el]);
+    } finally {
+      d.off('error', onError);
+    }
+
+    assert.equal(reports[0][0].message, 'cleanup');
+    assert.include(reports[0][1], { type: 'lifecycle', key: 'onCleanup', node: el });
+  });
+
+  it('throws outside of component rendering', () => {
+    assert.throws(() => d.onCleanup(() => null), /while rendering a component/);
+  });
+});
+
 describe('comment', () => {
   it('creates and returns the properly formatted comment (when text.length > 0)', () => {
     let c = d.comment('test');
@@ -218,7 +775,7 @@ describe('if', () => {
     assert.instanceOf(c.bindings[0], d.Binding);
 
     assert.equal(c.bindings[0].get, fn);
-    assert.equal(c.bindings[0].thenNode, el);
+    assert.equal(c.bindings[0].thenNodes, el);
   });
 
   it('creates and stores the conditional Binding on c.bindings (thenNode + elseNode)', () => {
@@ -231,8 +788,60 @@ describe('if', () => {
     assert.instanceOf(c.bindings[0], d.Binding);
 
     assert.equal(c.bindings[0].get, fn);
-    assert.equal(c.bindings[0].thenNode, thenNode);
-    assert.equal(c.bindings[0].elseNode, elseNode);
+    assert.equal(c.bindings[0].thenNodes, thenNode);
+    assert.equal(c.bindings[0].elseNodes, elseNode);
+  });
+
+  describe('with branch functions', () => {
+    let parentEl, show, c, calls;
+
+    let render = opts => {
+      calls = [];
+      parentEl = document.createElement('div');
+
+      c = d.if(
+        () => show,
+        () => { calls.push('then'); return d.el('p', null, 'yes') },
+        () => { calls.push('else'); return d.el('p', null, 'no') },
+        opts,
+      );
+
+      parentEl.append(c);
+      c.bindings[0].update();
+    };
+
+    let toggle = () => { show = !show; c.bindings[0].update() };
+
+    it('only builds branches when first shown, and keeps them', () => {
+      show = true;
+      render();
+
+      assert.deepEqual(calls, ['then']);
+      assert.equal(parentEl.textContent, 'yes');
+
+      let nThen = parentEl.lastChild;
+
+      toggle();
+      toggle();
+
+      assert.deepEqual(calls, ['then', 'else']);
+      assert.equal(parentEl.lastChild, nThen);
+    });
+
+    it('rebuilds branches when cache is false', () => {
+      show = true;
+      render({ cache: false });
+
+      let nThen = parentEl.lastChild;
+
+      toggle();
+      assert.equal(parentEl.textContent, 'no');
+
+      toggle();
+      assert.deepEqual(calls, ['then', 'else', 'then']);
+      assert.notEqual(parentEl.lastChild, nThen);
+      assert.equal(parentEl.textContent, 'yes');
+    });
   });
 });
 
@@ -257,58 +866,592 @@ describe('map', () => {
   });
 });
 
-describe('text', () => {
-  it('creates and returns a text node', () => {
-    let n = d.text(() => 'hello');
-    assert.instanceOf(n, Text);
+describe('switch', () => {
+  let parentEl, value, c, calls;
+
+  let render = opts => {
+    calls = [];
+    parentEl = document.createElement('div');
+
+    c = d.switch(() => value, {
+      a: () => { calls.push('a'); return d.el('p', null, 'A') },
+      b: () => { calls.push('b'); return ['B', d.el('p', null, '!')] },
+      default: () => { calls.push('default'); return d.el('p', null, '?') },
+    }, opts);
+
+    parentEl.append(c);
+    c.bindings[0].update();
+  };
+
+  let select = x => { value = x; c.bindings[0].update() };
+
+  it('creates and returns the properly formatted comment node', () => {
+    value = 'a';
+    render();
+
+    assert.instanceOf(c, Comment);
+    assert.equal(c.textContent, ' switch anchor ');
   });
 
-  it('creates and stores the textContent Binding on n.bindings', () => {
-    let getFn = () => 'hello';
-    let n = d.text(getFn);
+  it('shows the selected case, or the default one', () => {
+    value = 'b';
+    render();
+    assert.equal(parentEl.textContent, 'B!');
 
-    assert.instanceOf(n.bindings[0], d.Binding);
-    assert.equal(n.bindings[0].get, getFn);
+    select('c');
+    assert.equal(parentEl.textContent, '?');
+
+    select('a');
+    assert.equal(parentEl.textContent, 'A');
+    assert.deepEqual(c.anchoredNodes.map(n => n.textContent), ['A']);
   });
-});
 
-describe('processMutations', () => {
-  let makeBoundNode = () => {
-    let n = document.createElement('div');
-    n.bindings = true;
+  it('builds cases lazily and reuses their nodes', () => {
+    value = 'a';
+    render();
 
-    return n;
-  };
+    let nA = parentEl.lastChild;
 
-  it('adds addedNodes with n.bindings to boundNodes', () => {
-    let boundNodes = [];
+    select('b');
+    select('a');
 
-    let nodes = [
-      document.createElement('div'),
-      makeBoundNode(),
-      document.createElement('div'),
-      makeBoundNode(),
-      document.createElement('div'),
-      makeBoundNode(),
-      document.createElement('div'),
-      makeBoundNode(),
-    ];
+    assert.deepEqual(calls, ['a', 'b']);
+    assert.equal(parentEl.lastChild, nA);
+  });
 
-    let muts = [
-      { addedNodes: nodes.slice(0, 4), removedNodes: [] },
-      { addedNodes: nodes.slice(4, 8), removedNodes: [] },
-    ];
+  it('rebuilds cases when cache is false', () => {
+    value = 'a';
+    render({ cache: false });
 
-    let update = sinon.fake();
-    d.processMutations(muts, null, { boundNodes, update });
+    let nA = parentEl.lastChild;
 
-    assert.sameMembers(boundNodes, nodes.filter(n => n.bindings));
+    select('b');
+    select('a');
+
+    assert.deepEqual(calls, ['a', 'b', 'a']);
+    assert.notEqual(parentEl.lastChild, nA);
   });
+});
 
-  it('updates addedNodes with n.bindings', () => {
-    let boundNodes = [];
+describe('async', () => {
+  let parentEl;
+  let tick = () => new Promise(resolve => setTimeout(resolve));
+  let texts = () => parentEl.textContent;
 
-    let nodes = [
+  let render = c => {
+    parentEl = d.el('div', null, c);
+    c.bindings[0].update();
+  };
+
+  it('shows pending nodes, then the resolved ones', async () => {
+    let resolve;
+    render(d.async(() => new Promise(cb => resolve = cb), { pending: 'Loading...' }));
+
+    assert.equal(texts(), 'Loading...');
+    resolve(d.el('p', null, 'Done'));
+    await tick();
+
+    assert.equal(texts(), 'Done');
+  });
+
+  it('shows error views and retries', async () => {
+    let fail = true;
+    let promiseFn = () => fail ? Promise.reject(new Error('Oops')) : Promise.resolve('Done');
+    let retry;
+
+    render(d.async(promiseFn, { error: (e, cb) => { retry = cb; return e.message } }));
+    await tick();
+    assert.equal(texts(), 'Oops');
+
+    fail = false;
+    retry();
+    await tick();
+    assert.equal(texts(), 'Done');
+  });
+
+  it('reports errors thrown by error views', async () => {
+    let reports = [], onError = (e, info) => reports.push([e, info]);
+    let c = d.async(() => Promise.reject(new Error('Oops')), {
+      pending: 'Loading...',
+      error: () => { throw new Error('view') },
+    });
+
+    d.on('error', onError);
+
+    try {
+      render(c);
+      await tick();
+    } finally {
+      d.off('error', onError);
+    }
+
+    assert.equal(reports[0][0].message, 'view');
+    assert.include(reports[0][1], { type: 'binding', node: c });
+    assert.equal(texts(), '');
+  });
+
+  it('runs again when dependencies change, ignoring stale results', async () => {
+    let id = 1, resolves = [];
+    let promiseFn = sinon.spy(() => new Promise(cb => resolves.push(cb)));
+    let c = d.async(promiseFn, { deps: () => [id] });
+    render(c);
+
+    c.bindings[0].update();
+    assert.equal(promiseFn.callCount, 1);
+
+    id = 2;
+    c.bindings[0].update();
+    assert.equal(promiseFn.callCount, 2);
+
+    resolves[1]('second');
+    resolves[0]('first');
+    await tick();
+
+    assert.equal(texts(), 'second');
+  });
+
+  it('renders async components through async anchors', async () => {
+    let Async = async ({ name }) => d.el('p', null, name);
+    let c = d.el(Async, { name: 'foo' });
+
+    assert.instanceOf(c, Comment);
+    assert.equal(c.textContent, ' async anchor ');
+
+    render(c);
+    await tick();
+    assert.equal(texts(), 'foo');
+  });
+});
+
+describe('ErrorBoundary', () => {
+  let parentEl;
+
+  beforeEach(() => { parentEl = d.el('div'); document.body.append(parentEl) });
+  afterEach(() => parentEl.remove());
+
+  let fallback = (e, retry) => d.el('p', { onClick: retry }, `Error: ${e.message}`);
+
+  it('shows the fallback when rendering children throws', () => {
+    let Broken = () => { throw new Error('render') };
+    let c = d.el(d.ErrorBoundary, { fallback, render: () => d.el(Broken) });
+
+    parentEl.append(c);
+    d.updateSync(parentEl);
+
+    assert.equal(parentEl.textContent, 'Error: render');
+  });
+
+  it('shows the fallback when updating bindings under it throws, and retries', () => {
+    let fail = false;
+
+    let c = d.el(d.ErrorBoundary, { fallback }, d.el('div', null, d.text(() => {
+      if (fail) { throw new Error('update') }
+      return 'ok';
+    })));
+
+    parentEl.append(c);
+    d.updateSync(parentEl);
+    assert.equal(parentEl.textContent, 'ok');
+
+    fail = true;
+    d.updateSync(parentEl);
+    assert.equal(parentEl.textContent, 'Error: update');
+
+    fail = false;
+    parentEl.querySelector('p').click();
+    d.updateSync(parentEl);
+    assert.equal(parentEl.textContent, 'ok');
+  });
+
+  it('passes errors thrown by fallbacks on to outer boundaries', () => {
+    let inner = d.el(d.ErrorBoundary, {
+      fallback: () => d.text(() => { throw new Error('fallback') }),
+      render: () => { throw new Error('render') },
+    });
+
+    parentEl.append(d.el(d.ErrorBoundary, { fallback }, inner));
+    d.updateSync(parentEl);
+
+    assert.equal(parentEl.textContent, 'Error: fallback');
+  });
+
+  it('passes errors thrown by fallback functions on to outer boundaries', () => {
+    let inner = d.el(d.ErrorBoundary, {
+      fallback: () => { throw new Error('fallback') },
+      render: () => d.text(() => { throw new Error('update') }),
+    });
+
+    let other = d.el('b', null, d.text(() => 'other'));
+    parentEl.append(d.el(d.ErrorBoundary, { fallback }, inner), other);
+    d.updateSync(parentEl);
+
+    assert.equal(parentEl.textContent, 'Error: fallbackother');
+  });
+
+  it('reports errors thrown by fallbacks without outer boundaries', () => {
+    let reports = [], onError = (e, info) => reports.push([e, info]), c;
+
+    d.on('error', onError);
+
+    try {
+      c = d.el(d.ErrorBoundary, {
+        fallback: () => { throw new Error('fallback') },
+        render: () => d.text(() => { throw new Error('update') }),
+      });
+
+      parentEl.append(c, d.text(() => 'other'));
+      d.updateSync(parentEl);
+    } finally {
+      d.off('error', onError);
+    }
+
+    assert.equal(parentEl.textContent, 'other');
+    assert.deepEqual(reports.map(x => x[0].message), ['update', 'fallback']);
+    assert.include(reports[1][1], { type: 'binding', node: c, key: 'fallback' });
+  });
+});
+
+describe('error reporting', () => {
+  let parentEl, reports, listener = (e, info) => reports.push([e, info]);
+
+  beforeEach(() => {
+    reports = [];
+    d.on('error', listener);
+    parentEl = d.el('div');
+    document.body.append(parentEl);
+  });
+
+  afterEach(() => {
+    d.off('error', listener);
+    parentEl.remove();
+  });
+
+  it('reports binding errors once with node, key and component path', () => {
+    let n, Inner = () => n = d.el('span', { title: () => { throw new Error('title') } });
+    let Outer = () => d.el(Inner);
+
+    parentEl.append(d.el(Outer));
+    d.updateSync(parentEl);
+    d.updateSync(parentEl);
+
+    assert.equal(reports.length, 1);
+    assert.equal(reports[0][0].message, 'title');
+    assert.equal(reports[0][1].type, 'binding');
+    assert.equal(reports[0][1].node, n);
+    assert.equal(reports[0][1].key, 'title');
+    assert.deepEqual(reports[0][1].componentPath, ['Outer', 'Inner']);
+  });
+
+  it('reports event handler errors and still updates', () => {
+    let updated = false, onUpdate = () => updated = true;
+    let btn = d.el('button', { onClick: () => { throw new Error('click') } });
+
+    d.on('update', onUpdate);
+    btn.click();
+    d.off('update', onUpdate);
+
+    assert.isTrue(updated);
+    assert.equal(reports.length, 1);
+    assert.include(reports[0][1], { type: 'event', node: btn, key: 'onClick' });
+  });
+
+  it('reports lifecycle handler errors', () => {
+    let n = d.el('div', { onAttach: () => { throw new Error('attach') } });
+    let registry = new d.BoundNodeRegistry();
+
+    d.processMutations([{ addedNodes: [n], removedNodes: [] }], null, {
+      boundNodes: registry, updateSync() {},
+    });
+
+    assert.equal(reports.length, 1);
+    assert.include(reports[0][1], { type: 'lifecycle', node: n, key: 'onAttach' });
+  });
+});
+
+describe('text', () => {
+  it('creates and returns a text node', () => {
+    let n = d.text(() => 'hello');
+    assert.instanceOf(n, Text);
+  });
+
+  it('creates and stores the textContent Binding on n.bindings', () => {
+    let getFn = () => 'hello';
+    let n = d.text(getFn);
+
+    assert.instanceOf(n.bindings[0], d.Binding);
+    assert.equal(n.bindings[0].get, getFn);
+  });
+});
+
+describe('context', () => {
+  let parentEl;
+
+  beforeEach(() => { parentEl = d.el('div'); document.body.append(parentEl) });
+  afterEach(() => parentEl.remove());
+
+  it('reads provided context lazily inside bindings', () => {
+    let theme = 'dark';
+    let el = d.el('p', null, d.text(() => d.context('theme')));
+
+    parentEl.append(...d.el(d.Provider, { value: { theme } }, el));
+    d.updateSync(parentEl);
+
+    assert.equal(el.textContent, 'dark');
+  });
+
+  it('gives precedence to inner providers', () => {
+    let el = d.el('p', null, d.text(() => `${d.context('a')} ${d.context('b')}`));
+
+    parentEl.append(d.provide({ a: 1, b: 1 }, d.provide('a', 2, el)));
+    d.updateSync(parentEl);
+
+    assert.equal(el.textContent, '2 1');
+  });
+
+  it('follows anchors instead of DOM parents', () => {
+    let target = d.el('div');
+    let text = d.text(() => d.context('theme'));
+    let portal = d.portal(() => target);
+
+    parentEl.append(...d.provide('theme', 'dark', [
+      d.if(() => true, d.el('p', null, text)),
+      portal,
+    ]));
+
+    d.updateSync(parentEl);
+    assert.equal(text.textContent, 'dark');
+
+    document.body.append(target);
+    assert.equal(d.fromContext(target, 'theme'), 'dark');
+    target.remove();
+  });
+
+  it('keeps reading context after nested updates inside bindings', () => {
+    let other = d.el('p', null, d.text(() => 'other'));
+    parentEl.append(other);
+
+    let el = d.el('p', null, d.text(() => { d.updateSync(other); return d.context('theme') }));
+
+    parentEl.append(d.provide('theme', 'dark', el));
+    d.updateSync(el);
+
+    assert.equal(el.textContent, 'dark');
+  });
+
+  it('exposes provided context to children factories while rendering', () => {
+    let ns = d.provide('theme', 'dark', () => d.el('p', null, d.context('theme')));
+
+    assert.equal(ns.textContent, 'dark');
+    assert.isUndefined(d.context('theme'));
+  });
+});
+
+describe('router', () => {
+  let parentEl, router, win;
+
+  let Users = props => d.el('div', null, 'Users', props.children);
+  let User = props => d.el('p', null, `User ${props.params.id}`);
+
+  let routes = [
+    { path: '/', component: () => 'Home' },
+    { path: '/users', component: Users, children: [
+      { path: '', component: () => 'All' },
+      { path: ':id', component: User },
+    ] },
+    { path: '/admin', component: () => 'Admin', beforeEnter: () => '/' },
+    { path: '/lazy', lazy: () => Promise.resolve({ default: () => 'Lazy' }) },
+    { path: '*', component: props => `Not found: ${props.params.wildcard}` },
+  ];
+
+  let render = async opts => {
+    router = d.router(routes, opts);
+    parentEl = d.el('div', null, d.el(d.RouteView));
+    document.body.append(parentEl);
+    await router.ready;
+    d.updateSync(parentEl);
+  };
+
+  let go = async url => {
+    let ret = await router.navigate(url);
+    d.updateSync(parentEl);
+    return ret;
+  };
+
+  afterEach(() => { router.destroy(); parentEl.remove() });
+
+  it('renders matching routes, nested routes and params', async () => {
+    await render({ url: '/users/42?tab=posts' });
+
+    assert.equal(parentEl.textContent, 'UsersUser 42');
+    assert.deepEqual(router.current.query, { tab: 'posts' });
+
+    await go('/users');
+    assert.equal(parentEl.textContent, 'UsersAll');
+
+    await go('/nope/really');
+    assert.equal(parentEl.textContent, 'Not found: nope/really');
+  });
+
+  it('keeps nodes of routes whose params did not change', async () => {
+    await render({ url: '/users/1' });
+
+    let nUsers = parentEl.querySelector('div');
+    await go('/users/2');
+
+    assert.equal(parentEl.querySelector('div'), nUsers);
+    assert.equal(parentEl.textContent, 'UsersUser 2');
+  });
+
+  it('calls guards, which may cancel or redirect navigation', async () => {
+    let allow = true;
+    await render({ url: '/', beforeEach: (to, from) => allow });
+
+    assert.isTrue(await go('/users'));
+
+    allow = false;
+    assert.isFalse(await go('/'));
+    assert.equal(router.current.path, '/users');
+
+    allow = true;
+    await go('/admin');
+    assert.equal(router.current.path, '/');
+    assert.equal(parentEl.textContent, 'Home');
+  });
+
+  it('does not match malformed params', async () => {
+    await render({ url: '/' });
+
+    assert.isNull(router.resolve('/users/%E0%A4%A'));
+    assert.equal(router.resolve('/users?q=%E0').query.q, '%E0');
+
+    assert.isTrue(await go('/users/%E0%A4%A'));
+    assert.equal(parentEl.textContent, '');
+  });
+
+  it('stops following guards redirecting in a loop', async () => {
+    let reports = [], onError = (err, info) => reports.push([err, info]);
+    let loop = [
+      { path: '/a', beforeEnter: () => '/b' },
+      { path: '/b', beforeEnter: () => '/a' },
+      { path: '*', component: () => 'Other' },
+    ];
+
+    router = d.router(loop, { url: '/' });
+    parentEl = d.el('div');
+    await router.ready;
+
+    d.on('error', onError);
+
+    try {
+      assert.isFalse(await router.navigate('/a'));
+    } finally {
+      d.off('error', onError);
+    }
+
+    assert.equal(router.current.path, '/');
+    assert.lengthOf(reports, 1);
+    assert.match(reports[0][0].message, /Too many redirects/);
+    assert.equal(reports[0][1].type, 'router');
+  });
+
+  it('renders lazy route components', async () => {
+    await render({ url: '/lazy' });
+    await new Promise(resolve => setTimeout(resolve));
+    d.updateSync(parentEl);
+
+    assert.equal(parentEl.textContent, 'Lazy');
+    assert.notProperty(routes[3], 'component');
+    assert.isFunction(router.lazyComponents.get(routes[3]));
+  });
+
+  describe('with an address bar', () => {
+    beforeEach(() => win = new JSDOM('', { url: 'http://localhost/app/users' }).window);
+
+    it('follows the History API in history mode', async () => {
+      await render({ window: win, base: '/app' });
+      assert.equal(parentEl.textContent, 'UsersAll');
+
+      await go('/users/7');
+      assert.equal(win.location.pathname, '/app/users/7');
+
+      win.history.back();
+      await new Promise(resolve => win.addEventListener('popstate', resolve));
+      await new Promise(resolve => setTimeout(resolve));
+      d.updateSync(parentEl);
+
+      assert.equal(parentEl.textContent, 'UsersAll');
+    });
+
+    it('goes back to the current entry when a guard cancels back/forward', async () => {
+      let allow = true, tick = () => new Promise(resolve => setTimeout(resolve));
+      let popped = () => new Promise(resolve => win.addEventListener('popstate', resolve, { once: true }));
+
+      await render({ window: win, base: '/app', beforeEach: () => allow });
+      await go('/users/1');
+      await go('/users/2');
+
+      allow = false;
+      win.history.back();
+      await popped();
+      await tick();
+      await popped();
+      await tick();
+
+      assert.equal(win.location.pathname, '/app/users/2');
+      assert.equal(win.history.length, 3);
+
+      allow = true;
+      win.history.back();
+      await popped();
+      await tick();
+      d.updateSync(parentEl);
+
+      assert.equal(win.location.pathname, '/app/users/1');
+      assert.equal(parentEl.textContent, 'UsersUser 1');
+    });
+
+    it('follows the hash in hash mode', async () => {
+      win.location.hash = '#/users/3';
+      await render({ window: win, mode: 'hash' });
+      assert.equal(parentEl.textContent, 'UsersUser 3');
+
+      await go('/');
+      assert.equal(win.location.hash, '#/');
+    });
+
+    it('navigates through links', async () => {
+      await render({ window: win, base: '/app' });
+
+      let link = d.el(d.Link, { href: '/users/5' }, 'Five');
+      parentEl.append(link);
+      d.updateSync(parentEl);
+
+      assert.equal(link.getAttribute('href'), '/app/users/5');
+      assert.isFalse(link.classList.contains('active'));
+
+      link.click();
+      await new Promise(resolve => setTimeout(resolve));
+      d.updateSync(parentEl);
+
+      assert.equal(win.location.pathname, '/app/users/5');
+      assert.isTrue(link.classList.contains('active'));
+      assert.equal(link.getAttribute('aria-current'), 'page');
+    });
+  });
+});
+
+describe('processMutations', () => {
+  let makeBoundNode = () => {
+    let n = document.createElement('div');
+    n.bindings = true;
+
+    return n;
+  };
+
+  it('adds addedNodes with n.bindings to boundNodes', () => {
+    let boundNodes = new d.BoundNodeRegistry();
+
+    let nodes = [
       document.createElement('div'),
       makeBoundNode(),
       document.createElement('div'),
@@ -324,11 +1467,36 @@ describe('processMutations', () => {
       { addedNodes: nodes.slice(4, 8), removedNodes: [] },
     ];
 
-    let update = sinon.fake();
-    d.processMutations(muts, null, { boundNodes, update });
+    let updateNode = sinon.fake();
+    d.processMutations(muts, null, { boundNodes, updateNode });
+
+    assert.sameMembers(boundNodes.toArray(), nodes.filter(n => n.bindings));
+  });
+
+  it('updates addedNodes with n.bindings', () => {
+    let boundNodes = new d.BoundNodeRegistry();
+
+    let nodes = [
+      document.createElement('div'),
+      makeBoundNode(),
+      document.createElement('div'),
+      makeBoundNode(),
+      document.createElement('div'),
+      makeBoundNode(),
+      document.createElement('div'),
+      makeBoundNode(),
+    ];
+
+    let muts = [
+      { addedNodes: nodes.slice(0, 4), removedNodes: [] },
+      { addedNodes: nodes.slice(4, 8), removedNodes: [] },
+    ];
+
+    let updateNode = sinon.fake();
+    d.processMutations(muts, null, { boundNodes, updateNode });
 
     for (let n of nodes.filter(n => n.bindings)) {
-      assert.ok(update.calledWith(n));
+      assert.ok(updateNode.calledWith(n));
     }
   });
 
@@ -345,23 +1513,23 @@ describe('processMutations', () => {
       makeBoundNode(),
     ];
 
-    let boundNodes = [];
+    let boundNodes = new d.BoundNodeRegistry();
 
     let muts = [
       { addedNodes: [], removedNodes: [removedNodes[0]] },
       { addedNodes: [], removedNodes: [removedNodes[1]] },
     ];
 
-    let update = sinon.fake();
-    d.processMutations(muts, null, { boundNodes, update });
+    let updateNode = sinon.fake();
+    d.processMutations(muts, null, { boundNodes, updateNode });
 
     for (let n of removedNodes) {
-      assert.notInclude(boundNodes, n);
+      assert.isFalse(boundNodes.has(n));
     }
   });
 
   it('adds addedNodes descendants with n.bindings to boundNodes', () => {
-    let boundNodes = [];
+    let boundNodes = new d.BoundNodeRegistry();
 
     let parentNodes = [
       document.createElement('div'),
@@ -385,16 +1553,16 @@ describe('processMutations', () => {
       { addedNodes: parentNodes.slice(2, 4), removedNodes: [] },
     ];
 
-    let update = sinon.fake();
-    d.processMutations(muts, null, { boundNodes, update });
+    let updateNode = sinon.fake();
+    d.processMutations(muts, null, { boundNodes, updateNode });
 
     for (let n of descendantNodes.filter(n => n.bindings)) {
-      assert.include(boundNodes, n);
+      assert.isTrue(boundNodes.has(n));
     }
   });
 
   it('updates addedNodes descendants with n.bindings', () => {
-    let boundNodes = [];
+    let boundNodes = new d.BoundNodeRegistry();
 
     let parentNodes = [
       document.createElement('div'),
@@ -418,11 +1586,11 @@ describe('processMutations', () => {
       { addedNodes: parentNodes.slice(2, 4), removedNodes: [] },
     ];
 
-    let update = sinon.fake();
-    d.processMutations(muts, null, { boundNodes, update });
+    let updateNode = sinon.fake();
+    d.processMutations(muts, null, { boundNodes, updateNode });
 
     for (let n of descendantNodes.filter(n => n.bindings)) {
-      assert.ok(update.calledWith(n));
+      assert.ok(updateNode.calledWith(n));
     }
   });
 
@@ -452,19 +1620,209 @@ describe('processMutations', () => {
       removedDescendantNodes[1],
     ];
 
-    let boundNodes = [...allNodes];
+    let boundNodes = new d.BoundNodeRegistry(allNodes);
 
     let muts = [
       { addedNodes: [], removedNodes: [removedNodes[0]] },
       { addedNodes: [], removedNodes: [removedNodes[1]] },
     ];
 
-    let update = sinon.fake();
-    d.processMutations(muts, null, { boundNodes, update });
+    let updateNode = sinon.fake();
+    d.processMutations(muts, null, { boundNodes, updateNode });
 
     for (let n of removedDescendantNodes) {
-      assert.notInclude(boundNodes, n);
+      assert.isFalse(boundNodes.has(n));
+    }
+  });
+});
+
+describe('dispose', () => {
+  let removal = ns => [{ addedNodes: [], removedNodes: ns }];
+  let di = () => ({ boundNodes: new d.BoundNodeRegistry(), updateSync() {} });
+
+  afterEach(() => d.dispose.auto = false);
+
+  it('releases listeners, bindings and anchor caches', () => {
+    let onClick = sinon.fake(), state = { text: 'foo' };
+    let c = d.map(() => [1, 2], ', ', x => d.el('b', { onClick }, x));
+
+    let el = d.el('div', null,
+      d.el('input', { value: d.ref(state, 'text') }), c);
+
+    c.bindings[0].update();
+    el.firstChild.bindings[0].update();
+
+    let b = c.bindings[0], input = el.firstChild, item = el.querySelector('b');
+
+    d.dispose(el);
+
+    item.click();
+    assert.isFalse(onClick.called);
+
+    input.value = 'bar';
+    input.dispatchEvent(new jsdom.window.Event('input'));
+    assert.equal(state.text, 'foo');
+
+    assert.isNull(input.bindings);
+    assert.isNull(c.anchoredNodes);
+    assert.equal(b.valueMap.size, 0);
+    assert.equal(b.nSepPool.length, 0);
+  });
+
+  it('disposes nodes of hidden d.if branches along with their anchor', () => {
+    let onClick = sinon.fake(), show = false;
+    let btn = d.el('button', { onClick });
+    let c = d.if(() => show, btn);
+
+    d.el('div', null, c);
+    c.bindings[0].update();
+
+    d.dispose(c);
+    btn.click();
+
+    assert.isFalse(onClick.called);
+  });
+
+  it('disposes detached nodes automatically when dispose.auto is true', () => {
+    let onClick = sinon.fake();
+    let el = d.el('button', { onClick });
+
+    d.processMutations(removal([el]), null, di());
+    el.click();
+    assert.equal(onClick.callCount, 1);
+
+    d.dispose.auto = true;
+    d.processMutations(removal([el]), null, di());
+    el.click();
+    assert.equal(onClick.callCount, 1);
+  });
+
+  it('does not dispose nodes retained by their anchor', () => {
+    let show = true, el = d.el('p', { onClick: () => null });
+    let c = d.if(() => show, el);
+
+    d.el('div', null, c);
+    c.bindings[0].update();
+
+    show = false;
+    c.bindings[0].update();
+
+    d.dispose.auto = true;
+    d.processMutations(removal([el]), null, di());
+
+    assert.lengthOf(el.listeners, 1);
+  });
+
+  it('does not dispose portal nodes that may be shown again', () => {
+    let open = true, onClick = sinon.fake(), dialogEl = d.el('dialog', { onClick });
+    let c = d.portal(() => open && dialogEl);
+
+    d.el('div', null, c);
+    c.bindings[0].update();
+
+    open = false;
+    c.bindings[0].update();
+
+    d.dispose.auto = true;
+    d.processMutations(removal([dialogEl]), null, di());
+
+    open = true;
+    c.bindings[0].update();
+    dialogEl.click();
+
+    assert.isTrue(onClick.calledOnce);
+  });
+
+  it('does not dispose error boundary children shown again on retry', () => {
+    let fail = false, parentEl = d.el('div');
+    let child = d.el('div', null, d.text(() => { if (fail) { throw new Error('update') } return 'ok' }));
+
+    parentEl.append(d.el(d.ErrorBoundary, {
+      fallback: (e, retry) => d.el('p', { onClick: retry }),
+    }, child));
+
+    document.body.append(parentEl);
+
+    try {
+      d.updateSync(parentEl);
+      fail = true;
+      d.updateSync(parentEl);
+
+      d.dispose.auto = true;
+      d.processMutations(removal([child]), null, di());
+
+      fail = false;
+      parentEl.querySelector('p').click();
+      d.updateSync(parentEl);
+
+      assert.equal(parentEl.firstElementChild, child);
+      assert.isNotNull(child.firstChild.bindings);
+    } finally {
+      parentEl.remove();
+    }
+  });
+
+  it('does not dispose async anchor pending nodes', async () => {
+    let id = 1, onClick = sinon.fake(), pendingEl = d.el('p', { onClick });
+    let c = d.async(() => Promise.resolve(id), { pending: pendingEl, deps: () => [id] });
+
+    d.el('div', null, c);
+    c.bindings[0].update();
+    await new Promise(resolve => setTimeout(resolve));
+
+    d.dispose.auto = true;
+    d.processMutations(removal([pendingEl]), null, di());
+
+    id = 2;
+    c.bindings[0].update();
+    pendingEl.click();
+
+    assert.isTrue(onClick.calledOnce);
+  });
+
+  it('does not dispose nodes custom comment bindings merely hold', () => {
+    let onClick = sinon.fake(), el = d.el('button', { onClick }), c = d.comment();
+
+    c.bindings = [d.binding({
+      target: c,
+      get: () => el,
+      update() { this.lastValue = this.get() },
+    })];
+
+    d.el('div', null, c);
+    c.bindings[0].update();
+
+    d.dispose(c);
+    el.click();
+
+    assert.isTrue(onClick.calledOnce);
+  });
+
+  it('removes disposed nodes from ieNodes', () => {
+    let path = require.resolve('.'), cached = require.cache[path];
+    let desc = Object.getOwnPropertyDescriptor(global, 'navigator');
+
+    let load = userAgent => {
+      Object.defineProperty(global, 'navigator', { value: { userAgent }, configurable: true });
+      delete require.cache[path];
+      return require('.');
+    };
+
+    let dIe;
+
+    try {
+      assert.isNull(load('Mozilla/5.0 (X11; Linux x86_64)').ieNodes);
+      dIe = load('Mozilla/5.0 (Windows NT 6.1; Trident/7.0; rv:11.0) like Gecko');
+    } finally {
+      desc ? Object.defineProperty(global, 'navigator', desc) : delete global.navigator;
+      require.cache[path] = cached;
     }
+
+    let el = dIe.el('div', null, dIe.text(() => 'foo'), dIe.if(() => true, 'bar'));
+    assert.lengthOf(dIe.ieNodes, 2);
+
+    dIe.dispose(el);
+    assert.lengthOf(dIe.ieNodes, 0);
   });
 });
 
@@ -479,19 +1837,781 @@ describe('resolve', () => {
 });
 
 describe('update', () => {
-  let makeBoundNode = b => {
-    let n = document.createElement('div');
-    n.bindings = [b];
+  it('updates bindings from all boundNodes', async () => {
+    let fns = [1, 2].map(sinon.fake.returns);
+    let nodes = fns.map(fn => d.el('input', { value: fn }));
+    document.body.append(...nodes);
 
-    return n;
+    await d.update(null, { boundNodes: new d.BoundNodeRegistry(nodes) });
+    assert.equal(nodes[0].value, '1');
+    assert.equal(nodes[1].value, '2');
+
+    nodes.forEach(n => n.remove());
+  });
+
+  it('only updates bindings under rootNode when supplied', async () => {
+    let values = { a: 1, b: 1 };
+    let a = d.el('input', { value: () => values.a });
+    let b = d.el('input', { value: () => values.b });
+    let rootNode = d.el('div', null, d.el('p', null, a));
+    document.body.append(rootNode, b);
+
+    values = { a: 2, b: 2 };
+    await d.update(rootNode, { boundNodes: new d.BoundNodeRegistry([a, b]) });
+    assert.equal(a.value, '2');
+    assert.equal(b.value, '');
+
+    rootNode.remove();
+    b.remove();
+  });
+
+  it('queues updates separately for each bound node registry', async () => {
+    let nodes = [1, 2].map(() => d.el('input', { value: () => 'x' }));
+    document.body.append(...nodes);
+
+    let dis = nodes.map(n => ({ boundNodes: new d.BoundNodeRegistry([n]) }));
+    await Promise.all(dis.map(di => d.update(null, di)));
+
+    assert.deepEqual(nodes.map(n => n.value), ['x', 'x']);
+    nodes.forEach(n => n.remove());
+  });
+
+  it('only forgets bound descendants of roots an anchor changed under', () => {
+    let show = true, text = 'foo';
+    let a = d.el('div', null, d.if(() => show, d.el('p')));
+    let b = d.el('div');
+    document.body.append(a, b);
+
+    d.updateSync(a);
+    d.updateSync(b);
+
+    // Bound nodes inserted without an anchor (or processMutations) aren't
+    // picked up by roots whose bound descendants are still known.
+    b.append(d.text(() => text));
+    show = false;
+    d.updateSync(a);
+    d.updateSync(b);
+    assert.equal(b.textContent, '');
+
+    a.append(d.text(() => text));
+    show = true;
+    d.updateSync(a);
+    assert.equal(a.textContent, 'foo');
+
+    a.remove();
+    b.remove();
+  });
+});
+
+describe('renderToString', () => {
+  let globalDocument;
+
+  // Renders without a global document, like when prerendering pages in Node.
+  before(() => { globalDocument = global.document; delete global.document });
+  after(() => { global.document = globalDocument });
+
+  it('renders elements, props, classes and styles', () => {
+    let el = d.el('div', {
+      id: 'test',
+      class: ['foo', () => 'bar'],
+      style: { textAlign: 'center', color: () => 'red' },
+      hidden: false,
+      title: 'a "quoted" <title>',
+    }, 'Hello & bye', d.el('br'));
+
+    assert.equal(
+      d.renderToString(el),
+      '<div class="foo bar" style="text-align: center; color: red;" ' +
+      'id="test" title="a &quot;quoted&quot; &lt;title&gt;">' +
+      'Hello &amp; bye<br></div>',
+    );
+  });
+
+  it('only renders props reflecting attributes', () => {
+    let el = d.el('label', { htmlFor: 'name', tabIndex: 2, foo: 'bar', ref: () => null });
+    el.internalState = 1;
+
+    assert.equal(d.renderToString(el), '<label for="name" tabindex="2"></label>');
+  });
+
+  it('escapes comment text', () => {
+    assert.equal(
+      d.renderToString(d.el('div', null, d.comment('a ---> <b>'))),
+      '<div><!-- a - - -> <b> --></div>',
+    );
+  });
+
+  it('evaluates text and prop bindings once', () => {
+    let getFn = sinon.fake.returns('hello');
+    let el = d.el('input', { value: () => 'foo' }, d.text(getFn));
+
+    assert.equal(d.renderToString(el), '<input value="foo">');
+    assert.equal(getFn.callCount, 1);
+  });
+
+  it('renders if anchors with their anchor comments', () => {
+    let el = d.el('div', null,
+      d.if(() => true, d.el('span', null, 'then'), d.el('span', null, 'else')),
+      d.if(() => false, d.el('span', null, 'then')),
+    );
+
+    assert.equal(
+      d.renderToString(el),
+      '<div><!-- if anchor --><span>then</span><!-- if anchor --></div>',
+    );
+  });
+
+  it('renders map anchors (including top-level ones) with separators', () => {
+    let c = d.map(() => [1, 2, 3], ', ', x => d.el('b', null, x));
+
+    assert.equal(
+      d.renderToString(c),
+      '<!-- map anchor --><b>1</b>, <b>2</b>, <b>3</b>',
+    );
+  });
+
+  it('renders SVG elements', () => {
+    let el = d.el('svg:svg', { viewBox: '0 0 10 10' }, d.el('svg:rect'));
+
+    assert.equal(
+      d.renderToString(el),
+      '<svg viewBox="0 0 10 10"><rect></rect></svg>',
+    );
+  });
+});
+
+describe('hydrate', () => {
+  let root;
+
+  let App = state => d.el('div', { id: 'app' },
+    d.el('button', { onClick: () => state.clicks++ }, 'Clicks: ', d.text(() => state.clicks)),
+    d.if(() => state.open, d.el('p', null, 'open'), d.el('p', null, 'closed')),
+    d.el('ul', null, d.map(() => state.items, x => d.el('li', null, x))),
+  );
+
+  let render = state => {
+    root = document.createElement('div');
+    root.innerHTML = d.renderToString(App(state));
+    document.body.append(root);
   };
 
-  it('updates bindings from all boundNodes', () => {
-    let fns = [1, 2].map(sinon.fake.returns);
-    let boundNodes = fns.map(fn => d.el('input', { value: fn }));
+  afterEach(() => root.remove());
+
+  it('attaches bindings and listeners to the existing nodes', () => {
+    let state = { clicks: 0, open: true, items: ['a', 'b'] };
+    render(state);
+
+    let button = root.querySelector('button');
+    let ul = root.querySelector('ul');
+    let lis = [...root.querySelectorAll('li')];
+
+    let mismatches = d.hydrate(root, () => App(state), {
+      processMutations: sinon.fake(),
+    });
+
+    assert.deepEqual(mismatches, []);
+    assert.equal(root.querySelector('button'), button);
+    assert.deepEqual([...root.querySelectorAll('li')], lis);
+    assert.equal(button.childNodes[1].bindings[0].target, button.childNodes[1]);
+
+    button.click();
+    d.updateSync(button.childNodes[1]);
+    assert.equal(button.textContent, 'Clicks: 1');
+
+    let mapAnchor = ul.firstChild;
+    assert.deepEqual(mapAnchor.anchoredNodes, lis);
+
+    let ifAnchor = button.nextSibling;
+    let p = root.querySelector('p');
+
+    state.open = false;
+    d.updateSync(ifAnchor);
+    assert.equal(root.querySelector('p').textContent, 'closed');
+
+    state.open = true;
+    d.updateSync(ifAnchor);
+    assert.equal(root.querySelector('p'), p);
+  });
+
+  it('reports mismatches with their path and replaces mismatching nodes', () => {
+    let console = { error: sinon.fake() };
+    render({ clicks: 0, open: true, items: ['a'] });
+
+    let mismatches = d.hydrate(root, () => App({ clicks: 0, open: false, items: ['a'] }), {
+      console,
+      processMutations: sinon.fake(),
+    });
+
+    assert.equal(mismatches.length, 1);
+    assert.include(mismatches[0].message, 'div#app > <!-- if anchor -->[0] > p');
+    assert.isTrue(console.error.calledWith(mismatches[0]));
+    assert.equal(root.querySelector('p').textContent, 'closed');
+  });
+});
+
+describe('map reconciliation', () => {
+  let parentEl, items, c;
+
+  let render = (...args) => {
+    parentEl = document.createElement('div');
+    c = d.map(() => items, ...args);
+    parentEl.append(c);
+    c.bindings[0].update();
+  };
+
+  let texts = () => [...parentEl.childNodes].filter(n => n.nodeType !== 8).map(n => n.textContent);
+
+  it('only moves, inserts and removes changed nodes', () => {
+    items = ['a', 'b', 'c', 'd'];
+    render(x => d.el('li', null, x));
+
+    let nodes = [...parentEl.children];
+    let insertBefore = sinon.spy(parentEl, 'insertBefore');
+    let removeChild = sinon.spy(parentEl, 'removeChild');
+
+    items = ['d', 'a', 'c', 'e'];
+    c.bindings[0].update();
+
+    assert.deepEqual(texts(), ['d', 'a', 'c', 'e']);
+    assert.deepEqual([...parentEl.children].slice(0, 3), [nodes[3], nodes[0], nodes[2]]);
+    assert.equal(insertBefore.callCount, 2);
+    assert.equal(removeChild.callCount, 1);
+  });
+
+  it('keeps separators in place', () => {
+    items = [1, 2, 3];
+    render(', ', x => d.el('b', null, x));
+
+    items = [3, 1];
+    c.bindings[0].update();
+    assert.equal(parentEl.textContent, '3, 1');
+
+    items = [4, 1, 2, 3];
+    c.bindings[0].update();
+    assert.equal(parentEl.textContent, '4, 1, 2, 3');
+  });
+
+  it('renders duplicate values', () => {
+    items = ['a', 'a', 'b'];
+    render(x => d.el('li', null, x));
+
+    assert.deepEqual(texts(), ['a', 'a', 'b']);
+  });
+
+  it('reuses nodes for values with the same key and exposes the current item', () => {
+    items = [{ id: 1, name: 'foo' }, { id: 2, name: 'bar' }];
+    render((x, cursor) => d.el('li', null, d.text(() => cursor.item.name)), { key: x => x.id });
+
+    let nodes = [...parentEl.children];
+
+    items = [{ id: 2, name: 'baz' }, { id: 1, name: 'foo' }];
+    c.bindings[0].update();
+
+    assert.deepEqual([...parentEl.children], [nodes[1], nodes[0]]);
+    assert.equal(nodes[1].firstChild.bindings[0].get(), 'baz');
+  });
+
+  it('keeps cursors current', () => {
+    let cursors = {};
+
+    items = ['a', 'b', 'c'];
+    render((x, cursor) => { cursors[x] = cursor; return d.el('li', null, x) });
+
+    let describeCursor = x => {
+      let { index, length, isFirst, isLast, prev, next } = cursors[x];
+      return { index, length, isFirst, isLast, prev, next };
+    };
+
+    assert.deepEqual(describeCursor('a'), {
+      index: 0, length: 3, isFirst: true, isLast: false, prev: undefined, next: 'b',
+    });
+
+    items = ['b', 'c', 'a', 'd'];
+    c.bindings[0].update();
+
+    assert.deepEqual(describeCursor('a'), {
+      index: 2, length: 4, isFirst: false, isLast: false, prev: 'c', next: 'd',
+    });
+
+    assert.isTrue(cursors.b.isFirst);
+    assert.isTrue(cursors.d.isLast);
+    assert.equal(cursors.d.array, cursors.a.array);
+  });
+
+  it('renders Maps, Sets, iterators and plain objects', () => {
+    let render2 = x => {
+      items = x;
+      render((x, cursor) => d.el('li', null, `${cursor.key}=${x}`));
+      return texts();
+    };
+
+    assert.deepEqual(render2(new Map([['a', 1], ['b', 2]])), ['a=1', 'b=2']);
+    assert.deepEqual(render2(new Set(['x', 'y'])), ['0=x', '1=y']);
+    assert.deepEqual(render2(new Set(['x', 'y']).values()), ['0=x', '1=y']);
+    assert.deepEqual(render2({ foo: 'bar', baz: 'qux' }), ['foo=bar', 'baz=qux']);
+    assert.deepEqual(render2(Object.assign(Object.create(null), { a: 1 })), ['a=1']);
+  });
+
+  it('associates Map values to nodes by value', () => {
+    let [x, y, z] = [{ id: 1 }, { id: 2 }, { id: 3 }];
+
+    items = new Map([['a', x], ['b', y]]);
+    render(x => d.el('li', null, x.id));
+
+    let nodes = [...parentEl.children];
+
+    items = new Map([['b', y], ['c', z], ['a', x]]);
+    c.bindings[0].update();
+
+    assert.deepEqual([...parentEl.children].filter(n => nodes.includes(n)), [nodes[1], nodes[0]]);
+    assert.equal(parentEl.children.length, 3);
+  });
+
+  it('maps new values under the same key again', () => {
+    items = { a: 1, b: 2 };
+    render((x, cursor) => d.el('li', null, `${cursor.key}=${x}`));
+
+    let nodes = [...parentEl.children];
+
+    items = { a: 3, b: 2 };
+    c.bindings[0].update();
+
+    assert.deepEqual(texts(), ['a=3', 'b=2']);
+    assert.notEqual(parentEl.children[0], nodes[0]);
+    assert.equal(parentEl.children[1], nodes[1]);
+  });
+
+  describe('with animateMoves', () => {
+    let moves;
+    let move = (el, dx, dy) => moves.push([el.textContent, dx, dy]);
+
+    // Lays out elements as 10px high rows.
+    let stubRects = () => [...parentEl.children].forEach(el => {
+      el.getBoundingClientRect = () => ({
+        left: 0, top: [...parentEl.children].indexOf(el) * 10,
+      });
+    });
+
+    beforeEach(() => moves = []);
+    afterEach(() => delete jsdom.window.matchMedia);
+
+    it('animates reused elements from their previous positions', () => {
+      items = ['a', 'b', 'c'];
+      render(x => d.el('li', null, x), { animateMoves: { move } });
+      stubRects();
+
+      items = ['c', 'a', 'b', 'd'];
+      c.bindings[0].update();
+
+      assert.deepEqual(moves, [['c', 0, 20], ['a', 0, -10], ['b', 0, -10]]);
+    });
+
+    it('does nothing when reduced motion is preferred', () => {
+      jsdom.window.matchMedia = () => ({ matches: true });
 
-    d.update(null, { boundNodes });
-    assert.equal(boundNodes[0].value, '1');
-    assert.equal(boundNodes[1].value, '2');
+      items = ['a', 'b'];
+      render(x => d.el('li', null, x), { animateMoves: { move } });
+      stubRects();
+
+      items = ['b', 'a'];
+      c.bindings[0].update();
+
+      assert.deepEqual(moves, []);
+      assert.deepEqual(texts(), ['b', 'a']);
+    });
+  });
+});
+
+describe('groupMap', () => {
+  let parentEl, messages, c;
+
+  let render = () => {
+    parentEl = document.createElement('div');
+
+    c = d.groupMap(
+      () => messages,
+      x => x.day,
+      (day, group) => d.el('h2', null, day, ' (', d.text(() => group.items.length), ')'),
+      x => d.el('p', null, x.text),
+      { key: x => x.id },
+    );
+
+    parentEl.append(c);
+    c.bindings[0].update();
+  };
+
+  let texts = () => [...parentEl.children].map(el => {
+    [...el.childNodes].forEach(n => n.bindings && n.bindings[0].update());
+    return el.textContent;
+  });
+
+  it('renders items grouped under headers', () => {
+    messages = [
+      { id: 1, day: 'Mon', text: 'a' },
+      { id: 2, day: 'Tue', text: 'b' },
+      { id: 3, day: 'Mon', text: 'c' },
+    ];
+
+    render();
+
+    assert.deepEqual(texts(), ['Mon (2)', 'a', 'c', 'Tue (1)', 'b']);
+  });
+
+  it('moves nodes between groups and removes empty groups', () => {
+    messages = [
+      { id: 1, day: 'Mon', text: 'a' },
+      { id: 2, day: 'Tue', text: 'b' },
+      { id: 3, day: 'Wed', text: 'c' },
+    ];
+
+    render();
+
+    let [nMon, nA, nTue, nB] = parentEl.children;
+
+    messages = [
+      { id: 2, day: 'Mon', text: 'b' },
+      { id: 1, day: 'Mon', text: 'a' },
+      { id: 3, day: 'Wed', text: 'c' },
+    ];
+
+    c.bindings[0].update();
+
+    assert.deepEqual(texts(), ['Mon (2)', 'b', 'a', 'Wed (1)', 'c']);
+    assert.deepEqual([...parentEl.children].slice(0, 3), [nMon, nB, nA]);
+    assert.isNull(nTue.parentNode);
+  });
+
+  it('gives cursors positions within groups', () => {
+    let cursors = {}, keyIndices = [];
+
+    messages = [
+      { id: 1, day: 'Mon', text: 'a' },
+      { id: 2, day: 'Tue', text: 'b' },
+      { id: 3, day: 'Mon', text: 'c' },
+    ];
+
+    parentEl = document.createElement('div');
+
+    c = d.groupMap(
+      () => messages,
+      x => x.day,
+      (day, group, cursor) => { cursors[day] = cursor; return d.el('h2', null, day) },
+      (x, cursor) => { cursors[x.text] = cursor; return d.el('p', null, x.text) },
+      { key: (x, i) => { keyIndices.push(i); return x.id } },
+    );
+
+    parentEl.append(c);
+    c.bindings[0].update();
+
+    assert.deepEqual(keyIndices, [0, 2, 1]);
+    assert.equal(cursors.b.index, 0);
+    assert.isUndefined(cursors.b.prev);
+    assert.equal(cursors.c.prev, messages[0]);
+    assert.isTrue(cursors.c.isLast);
+    assert.equal(cursors.Tue.index, 1);
+    assert.equal(cursors.Tue.prev.key, 'Mon');
+
+    messages = [messages[2], { ...messages[1], day: 'Mon' }, messages[0]];
+    c.bindings[0].update();
+
+    assert.equal(cursors.b.index, 1);
+    assert.equal(cursors.b.prev, messages[0]);
+    assert.equal(cursors.b.key, 1);
+    assert.equal(cursors.a.item, messages[2]);
+    assert.deepEqual(cursors.a.array, messages);
+    assert.isTrue(cursors.a.isLast);
+  });
+});
+
+describe('virtualMap', () => {
+  let container, items, c, calls;
+
+  let render = opts => {
+    calls = 0;
+    container = d.el('div');
+    Object.defineProperty(container, 'clientHeight', { value: 100 });
+    Object.defineProperty(container, 'scrollTop', { value: 0, writable: true });
+    document.body.append(container);
+
+    c = d.virtualMap(() => items, (x, cursor) => {
+      calls++;
+      return d.el('p', null, d.text(() => cursor.item));
+    }, { overscan: 2, ...opts });
+
+    container.append(c);
+    d.updateSync(container);
+  };
+
+  // jsdom doesn't do layout, so the top spacer's position is faked.
+  let scroll = y => {
+    container.scrollTop = y;
+    c.bindings[0].nTop.getBoundingClientRect = () => ({ top: -y });
+    container.dispatchEvent(new jsdom.window.Event('scroll'));
+  };
+
+  let scrollTo = y => { scroll(y); return d.update(c) };
+
+  let rows = () => [...container.querySelectorAll('p')].map(el => el.textContent);
+  let spacers = () => [...container.querySelectorAll('div')].map(el => el.style.height);
+
+  beforeEach(() => items = [...Array(1000).keys()]);
+  afterEach(() => container.remove());
+
+  it('only renders visible rows between spacers', () => {
+    render({ itemHeight: 10 });
+
+    assert.deepEqual(rows(), [...Array(13).keys()].map(String));
+    assert.deepEqual(spacers(), ['0px', '9870px']);
+  });
+
+  it('recycles rows when scrolled', async () => {
+    render({ itemHeight: 10 });
+
+    let nodes = new Set(container.querySelectorAll('p'));
+
+    await scrollTo(500);
+
+    assert.deepEqual(rows(), [...Array(15).keys()].map(i => String(48 + i)));
+    assert.deepEqual(spacers(), ['480px', '9370px']);
+    assert.equal(calls, 15);
+    assert.equal([...container.querySelectorAll('p')].filter(n => !nodes.has(n)).length, 2);
+  });
+
+  it('updates rows once per frame while scrolling', async () => {
+    render({ itemHeight: 10 });
+
+    scroll(100);
+    scroll(300);
+    assert.equal(rows()[0], '0');
+
+    await scrollTo(500);
+
+    assert.equal(rows()[0], '48');
+    assert.equal(calls, 15);
+  });
+
+  it('looks scroll containers up again until they are found', async () => {
+    let scroller;
+
+    render({ itemHeight: 10, scrollContainer: () => scroller });
+    assert.isUndefined(c.bindings[0].container);
+
+    scroller = container;
+    d.updateSync(container);
+    await scrollTo(500);
+
+    assert.equal(c.bindings[0].container, container);
+    assert.equal(rows()[0], '48');
+  });
+
+  it('leaves no listeners behind on window', () => {
+    render({ itemHeight: 10, scrollContainer: jsdom.window });
+
+    assert.equal(c.bindings[0].container, jsdom.window);
+    assert.notProperty(jsdom.window, 'listeners');
+  });
+
+  it('updates rows when the array changes', () => {
+    render({ itemHeight: 10 });
+
+    items = items.slice(1);
+    d.updateSync(container);
+
+    assert.equal(rows()[0], '1');
+    assert.equal(calls, 13);
+  });
+
+  it('caches measured row heights', () => {
+    let measure = sinon.spy(el => 20);
+
+    render({ itemHeight: 10, measure });
+    d.updateSync(container);
+
+    // Rows 0-4 fill the container now, plus 2 overscan rows (20px each).
+    assert.equal(measure.callCount, 13);
+    assert.deepEqual(rows(), [...Array(8).keys()].map(String));
+    assert.deepEqual(spacers(), ['0px', `${5 * 20 + 987 * 10}px`]);
+    assert.equal(c.bindings[0].heights.get(12), 20);
+  });
+
+  it('rejects empty and fragment rows', () => {
+    let reports = [], onError = err => reports.push(err);
+
+    d.on('error', onError);
+
+    try {
+      for (let rowFn of [() => null, () => [d.el('p'), d.el('p')]]) {
+        container && container.remove();
+        container = d.el('div', null, d.virtualMap(() => items, rowFn, { itemHeight: 10 }));
+        document.body.append(container);
+        d.updateSync(container);
+      }
+    } finally {
+      d.off('error', onError);
+    }
+
+    assert.lengthOf(reports, 2);
+    assert.instanceOf(reports[0], TypeError);
+    assert.match(reports[1].message, /must return a single node \(row 0\)/);
+  });
+});
+
+describe('transitions', () => {
+  let parentEl, events, leave;
+  let tick = () => new Promise(resolve => setTimeout(resolve));
+
+  let hooks = {
+    onEnter: n => events.push(`enter ${n.textContent}`),
+    onLeave: n => { events.push(`leave ${n.textContent}`); return leave },
+  };
+
+  beforeEach(() => {
+    parentEl = document.createElement('div');
+    events = [];
+    leave = undefined;
+  });
+
+  it('calls d.if hooks and defers removal until onLeave settles', async () => {
+    let show = true, resolveLeave;
+    let c = d.if(() => show, d.el('p', null, 'yes'), d.el('p', null, 'no'), hooks);
+
+    parentEl.append(c);
+    c.bindings[0].update();
+    assert.deepEqual(events, []);
+
+    leave = new Promise(resolve => resolveLeave = resolve);
+    show = false;
+    c.bindings[0].update();
+
+    assert.deepEqual(events, ['leave yes', 'enter no']);
+    assert.equal(parentEl.textContent, 'noyes');
+
+    resolveLeave();
+    await tick();
+    assert.equal(parentEl.textContent, 'no');
+  });
+
+  it('keeps nodes inserted again before onLeave settles', async () => {
+    let show = true, resolveLeave;
+    let c = d.if(() => show, d.el('p', null, 'yes'), hooks);
+
+    parentEl.append(c);
+    c.bindings[0].update();
+
+    leave = new Promise(resolve => resolveLeave = resolve);
+    show = false;
+    c.bindings[0].update();
+    show = true;
+    c.bindings[0].update();
+
+    resolveLeave();
+    await tick();
+    assert.equal(parentEl.textContent, 'yes');
+  });
+
+  it('calls d.map hooks for inserted and removed items only', async () => {
+    let items = ['a', 'b'];
+    let c = d.map(() => items, x => d.el('li', null, x), { appear: true, ...hooks });
+
+    parentEl.append(c);
+    c.bindings[0].update();
+    assert.deepEqual(events, ['enter b', 'enter a']);
+
+    events = [];
+    leave = Promise.resolve();
+    items = ['c', 'a'];
+    c.bindings[0].update();
+
+    assert.deepEqual(events, ['leave b', 'enter c']);
+    assert.equal(parentEl.textContent, 'cab');
+
+    await tick();
+    assert.equal(parentEl.textContent, 'ca');
+  });
+
+  it('d.transition applies enter and leave classes', async () => {
+    let show = true;
+    let c = d.if(() => show, d.el('p'), d.transition('fade', { duration: 0 }));
+    let el = c.bindings[0].thenNodes;
+
+    parentEl.append(c);
+    c.bindings[0].update();
+    show = false;
+    c.bindings[0].update();
+
+    assert.deepEqual([...el.classList], ['fade-leave-from', 'fade-leave-active']);
+
+    await tick();
+    assert.deepEqual([...el.classList], ['fade-leave-active', 'fade-leave-to']);
+
+    await tick();
+    await tick();
+    assert.deepEqual([...el.classList], []);
+    assert.isNull(el.parentNode);
+  });
+});
+
+describe('updateSync', () => {
+  it('updates bindings under rootNode and its anchored nodes', () => {
+    let show = true, text = 'foo';
+    let parentEl = d.el('div');
+    let c = d.if(() => show, d.el('p', null, d.text(() => text)));
+    parentEl.append(c);
+    document.body.append(parentEl);
+
+    d.updateSync(c);
+    assert.equal(parentEl.textContent, 'foo');
+
+    text = 'bar';
+    d.updateSync(c);
+    assert.equal(parentEl.textContent, 'bar');
+
+    parentEl.remove();
+  });
+});
+
+describe('BoundNodeRegistry', () => {
+  it('lists nodes in document order', () => {
+    let nodes = [1, 2, 3].map(() => document.createElement('div'));
+    let parentEl = document.createElement('div');
+    parentEl.append(...nodes);
+
+    let registry = new d.BoundNodeRegistry([nodes[2], nodes[0]]);
+    assert.deepEqual(registry.toArray(), [nodes[0], nodes[2]]);
+
+    assert.isTrue(registry.add(nodes[1]));
+    assert.isFalse(registry.add(nodes[1]));
+    assert.deepEqual(registry.toArray(), nodes);
+
+    assert.isTrue(registry.delete(nodes[0]));
+    assert.isFalse(registry.delete(nodes[0]));
+    assert.deepEqual(registry.toArray(), nodes.slice(1));
+    assert.equal(registry.size, 2);
+  });
+
+  it('only sorts nodes added or moved since last listed', () => {
+    let nodes = [...Array(1000)].map(() => document.createElement('div'));
+    let parentEl = document.createElement('div');
+    parentEl.append(...nodes);
+
+    let registry = new d.BoundNodeRegistry(nodes);
+    registry.toArray();
+
+    let n = document.createElement('div');
+    nodes[500].after(n);
+    nodes[0].before(nodes[999]);
+
+    let spy = sinon.spy(Node.prototype, 'compareDocumentPosition');
+
+    try {
+      registry.add(n);
+      registry.add(nodes[999]);
+      registry.delete(nodes[1]);
+
+      assert.deepEqual(registry.toArray(), [...parentEl.children].filter(x => x !== nodes[1]));
+      assert.isBelow(spy.callCount, 30);
+    } finally {
+      spy.restore();
+    }
   });
 });